@@ -1,164 +1,411 @@
-{% comment %}
-  Announcement Bar (OS 2.0)
-  - Multiple rotating messages (blocks)
-  - Optional auto-rotate, pause on hover/focus, reduced-motion aware
-  - Dismissible (per section instance via localStorage)
-  - Schedule: start/end date/time (store timezone)
-  - Geo filter: show only for specific ISO country codes (via request.country)
-  - Optional countdown timer per block
-  - Colors, height, typography controls
-{% endcomment %}
-
-{% liquid
-  assign section_id = section.id
-  assign locale = request.locale.iso_code | default: shop.locale
-  assign country_code = request.country.iso_code | default: shop.primary_locale | upcase
-  assign store_tz = shop.timezone
-%}
-
-{% if section.settings.enable_home_only and request.page_type != 'index' %}
-  {% comment %} Do not render outside home {% endcomment %}
-  {% return %}
-{% endif %}
-
-<link rel="stylesheet" href="{{ 'announcement-bar.css' | asset_url }}" media="print" onload="this.media='all'">
-<noscript><link rel="stylesheet" href="{{ 'announcement-bar.css' | asset_url }}"></noscript>
-<script src="{{ 'announcement-bar.js' | asset_url }}" defer></script>
-
-{% assign visible_blocks = empty %}
-{% assign now = 'now' | date: "%s" %}
-
-{% assign filtered_blocks = section.blocks | where: 'type', 'message' %}
-{% capture blocks_json %}
-[
-  {%- for block in filtered_blocks -%}
-    {%- liquid
-      assign show = true
-      assign start_epoch = nil
-      assign end_epoch = nil
-
-      if block.settings.start_at != blank
-        assign start_epoch = block.settings.start_at | date: "%s" 
-        if start_epoch > now
-          assign show = false
-        endif
-      endif
-      if block.settings.end_at != blank
-        assign end_epoch = block.settings.end_at | date: "%s"
-        if end_epoch < now
-          assign show = false
-        endif
-      endif
-
-      assign include_countries = block.settings.include_countries | strip | upcase
-      if include_countries != blank
-        assign allowed = false
-        assign list = include_countries | split: ',' 
-        for c in list
-          if c | strip == country_code
-            assign allowed = true
-            break
-          endif
-        endfor
-        if allowed == false
-          assign show = false
-        endif
-      endif
-    -%}
-    {%- if show -%}
-      {
-        "id": "{{ block.id }}",
-        "text": {{ block.settings.text | escape | json }},
-        "link": {{ block.settings.link | json }},
-        "icon": {{ block.settings.icon | escape | json }},
-        "badge": {{ block.settings.badge | escape | json }},
-        "countdownTo": {{ block.settings.countdown_to | json }},
-        "ariaLabel": {{ block.settings.aria_label | escape | json }}
-      }{% unless forloop.last %},{% endunless %}
-    {%- endif -%}
-  {%- endfor -%}
-]
-{% endcapture %}
-
-{% assign has_messages = blocks_json | strip | size | plus: 0 %}
-{% if has_messages < 5 %}{% comment %} naive check—will still render if  [] {% endcomment %}{% endif %}
-
-<announcement-rotator
-  id="announcement-{{ section_id }}"
-  class="annc {{ section.settings.custom_class }}"
-  style="
-    --annc-bg: {{ section.settings.bg | color_to_rgb }};
-    --annc-fg: {{ section.settings.fg | color_to_rgb }};
-    --annc-link: {{ section.settings.link_color | color_to_rgb }};
-    --annc-height: {{ section.settings.bar_height }}px;
-  "
-  data-rotate="{{ section.settings.enable_rotate }}"
-  data-interval="{{ section.settings.rotate_interval | times: 1000 }}"
-  data-pause-on-hover="{{ section.settings.pause_on_hover }}"
-  data-dismissible="{{ section.settings.dismissible }}"
-  data-storage-key="annc-{{ section_id }}"
-  data-messages='{{ blocks_json | strip }}'
-  aria-label="{{ section.settings.aria_label | default: 'Store announcements' | escape }}"
->
-  <div class="annc__inner" role="region">
-    <button class="annc__close" hidden aria-label="{{ 'general.close' | t }}" title="{{ 'general.close' | t }}">
-      &times;
-    </button>
-    <div class="annc__viewport" tabindex="-1">
-      <!-- Messages are rendered by JS for a11y consistency -->
-      <noscript>
-        <div class="annc__item">
-          {{ 'Enable JavaScript to view announcements' | t }}
-        </div>
-      </noscript>
-    </div>
-  </div>
-</announcement-rotator>
-
-{% schema %}
-{
-  "name": "Announcement bar (Pro)",
-  "tag": "section",
-  "class": "section-announcement-bar",
-  "settings": [
-    { "type": "checkbox", "id": "enable_home_only", "label": "Show on home only", "default": false },
-    { "type": "color", "id": "bg", "label": "Background", "default": "#111111" },
-    { "type": "color", "id": "fg", "label": "Text", "default": "#ffffff" },
-    { "type": "color", "id": "link_color", "label": "Link color", "default": "#ffffff" },
-    { "type": "range", "id": "bar_height", "label": "Bar height (px)", "min": 32, "max": 72, "step": 1, "default": 44 },
-    { "type": "checkbox", "id": "enable_rotate", "label": "Auto-rotate messages", "default": true },
-    { "type": "range", "id": "rotate_interval", "label": "Rotate every (seconds)", "min": 3, "max": 20, "step": 1, "default": 6 },
-    { "type": "checkbox", "id": "pause_on_hover", "label": "Pause on hover/focus", "default": true },
-    { "type": "checkbox", "id": "dismissible", "label": "Allow customers to dismiss", "default": true },
-    { "type": "text", "id": "custom_class", "label": "Custom CSS class", "default": "" },
-    { "type": "text", "id": "aria_label", "label": "Region ARIA label", "default": "Store announcements" }
-  ],
-  "blocks": [
-    {
-      "type": "message",
-      "name": "Message",
-      "settings": [
-        { "type": "text", "id": "badge", "label": "Badge (e.g., NEW, -20%)", "default": "" },
-        { "type": "text", "id": "icon", "label": "Icon (emoji or short text)", "default": "📣" },
-        { "type": "richtext", "id": "text", "label": "Message text", "default": "<p>Free shipping over CHF 50</p>" },
-        { "type": "url", "id": "link", "label": "Optional link" },
-        { "type": "text", "id": "include_countries", "label": "Show only in countries (ISO, comma-separated)", "default": "" },
-        { "type": "text", "id": "aria_label", "label": "Item ARIA label (optional)", "default": "" },
-        { "type": "text", "id": "countdown_to", "label": "Countdown to (ISO 8601, e.g., 2025-12-24T23:59:00Z)", "default": "" },
-        { "type": "text", "id": "start_at", "label": "Start at (ISO 8601)" },
-        { "type": "text", "id": "end_at", "label": "End at (ISO 8601)" }
-      ]
+import { Component } from '@theme/component';
+import { prefersReducedMotion } from '@theme/utilities';
+
+/**
+ * @typedef {Object} AnnouncementMessage
+ * @property {string} id - The block id.
+ * @property {string} text - The message rich text HTML.
+ * @property {string | null} link - The optional link URL.
+ * @property {string} icon - An emoji or short text shown before the message.
+ * @property {string} badge - An optional badge label.
+ * @property {string} countdownTo - An ISO 8601 date to count down to.
+ * @property {number | null} startAt - The epoch (ms) the message starts showing at.
+ * @property {number | null} endAt - The epoch (ms) the message stops showing at.
+ * @property {string} ariaLabel - An optional accessible label for the message.
+ */
+
+/**
+ * A custom element that rotates through the announcement bar messages.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} viewport - The element the messages are rendered into.
+ * @property {HTMLButtonElement} [closeButton] - The dismiss button.
+ *
+ * @extends {Component<Refs>}
+ */
+class AnnouncementRotator extends Component {
+  requiredRefs = ['viewport'];
+
+  /** @type {AnnouncementMessage[]} */
+  #messages = [];
+
+  /** @type {AnnouncementMessage[]} */
+  #activeMessages = [];
+
+  /** @type {number} */
+  #current = 0;
+
+  /** @type {number | undefined} */
+  #rotateInterval;
+
+  /** @type {number | undefined} */
+  #tickInterval;
+
+  /** @type {boolean} */
+  #hovered = false;
+
+  /** @type {boolean} */
+  #focused = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    if (this.#isDismissed) {
+      this.hidden = true;
+      return;
+    }
+
+    this.#messages = this.#parseMessages();
+    this.refs.closeButton?.toggleAttribute('hidden', !this.dismissible);
+
+    if (this.pauseOnHover) {
+      this.addEventListener('pointerenter', this.#handlePointerEnter);
+      this.addEventListener('pointerleave', this.#handlePointerLeave);
+      this.addEventListener('focusin', this.#handleFocusIn);
+      this.addEventListener('focusout', this.#handleFocusOut);
+    }
+
+    document.addEventListener('visibilitychange', this.#handleVisibilityChange);
+
+    this.#render();
+
+    if (this.#messages.some((message) => message.countdownTo || message.startAt || message.endAt)) {
+      this.#tickInterval = setInterval(this.#tick, 1000);
+    }
+
+    this.play();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener('pointerenter', this.#handlePointerEnter);
+    this.removeEventListener('pointerleave', this.#handlePointerLeave);
+    this.removeEventListener('focusin', this.#handleFocusIn);
+    this.removeEventListener('focusout', this.#handleFocusOut);
+    document.removeEventListener('visibilitychange', this.#handleVisibilityChange);
+
+    this.pause();
+    clearInterval(this.#tickInterval);
+  }
+
+  /**
+   * Whether the messages rotate automatically.
+   * @returns {boolean}
+   */
+  get rotate() {
+    return this.dataset.rotate === 'true';
+  }
+
+  /**
+   * The rotation interval in milliseconds.
+   * @returns {number}
+   */
+  get interval() {
+    const interval = parseInt(this.dataset.interval ?? '', 10);
+
+    return Number.isNaN(interval) ? 6000 : interval;
+  }
+
+  /**
+   * Whether the rotation pauses while the bar is hovered or focused.
+   * @returns {boolean}
+   */
+  get pauseOnHover() {
+    return this.dataset.pauseOnHover === 'true';
+  }
+
+  /**
+   * Whether customers can dismiss the bar.
+   * @returns {boolean}
+   */
+  get dismissible() {
+    return this.dataset.dismissible === 'true';
+  }
+
+  /**
+   * The index of the message currently shown.
+   * @returns {number}
+   */
+  get current() {
+    return this.#current;
+  }
+
+  /**
+   * Shows the next message.
+   */
+  next() {
+    this.#show(this.#current + 1);
+  }
+
+  /**
+   * Shows the previous message.
+   */
+  previous() {
+    this.#show(this.#current - 1);
+  }
+
+  /**
+   * Starts rotating the messages.
+   */
+  play() {
+    this.pause();
+
+    if (!this.rotate || this.#activeMessages.length < 2) return;
+
+    this.refs.viewport.setAttribute('aria-live', 'off');
+    this.#rotateInterval = setInterval(() => {
+      if (this.#hovered || this.#focused || document.hidden) return;
+
+      this.next();
+    }, this.interval);
+  }
+
+  /**
+   * Stops rotating the messages.
+   */
+  pause() {
+    clearInterval(this.#rotateInterval);
+    this.#rotateInterval = undefined;
+    this.refs.viewport?.setAttribute('aria-live', 'polite');
+  }
+
+  /**
+   * Hides the bar and remembers the dismissal for this section.
+   */
+  dismiss() {
+    if (!this.dismissible) return;
+
+    try {
+      localStorage.setItem(this.#storageKey, String(Date.now()));
+    } catch (_) {
+      // no-op, the bar is still hidden for the current page view
+    }
+
+    this.pause();
+    clearInterval(this.#tickInterval);
+    this.hidden = true;
+  }
+
+  get #storageKey() {
+    return this.dataset.storageKey || `annc-${this.id}`;
+  }
+
+  get #isDismissed() {
+    if (!this.dismissible) return false;
+
+    try {
+      return localStorage.getItem(this.#storageKey) !== null;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Parses the messages from the `data-messages` attribute.
+   * @returns {AnnouncementMessage[]}
+   */
+  #parseMessages() {
+    try {
+      const messages = JSON.parse(this.dataset.messages || '[]');
+
+      return Array.isArray(messages) ? messages : [];
+    } catch (error) {
+      console.error('Invalid announcement messages', error);
+      return [];
+    }
+  }
+
+  /**
+   * Checks whether a message is within its schedule.
+   * @param {AnnouncementMessage} message
+   * @param {number} now
+   * @returns {boolean}
+   */
+  #isScheduled(message, now) {
+    if (message.startAt && message.startAt > now) return false;
+    if (message.endAt && message.endAt < now) return false;
+
+    return true;
+  }
+
+  /**
+   * Renders the messages that are currently within their schedule.
+   */
+  #render() {
+    const now = Date.now();
+    const activeMessages = this.#messages.filter((message) => this.#isScheduled(message, now));
+    const currentId = this.#activeMessages[this.#current]?.id;
+
+    this.#activeMessages = activeMessages;
+    this.refs.viewport.replaceChildren(
+      ...activeMessages.map((message, index) => this.#createItem(message, index, activeMessages.length))
+    );
+    this.hidden = activeMessages.length === 0;
+
+    const index = activeMessages.findIndex((message) => message.id === currentId);
+    this.#show(Math.max(index, 0), { instant: true });
+    this.#updateCountdowns();
+  }
+
+  /**
+   * Creates the element for a message.
+   * @param {AnnouncementMessage} message
+   * @param {number} index
+   * @param {number} length
+   * @returns {HTMLElement}
+   */
+  #createItem(message, index, length) {
+    const item = document.createElement('div');
+    item.className = 'annc__item';
+    item.dataset.id = message.id;
+    item.setAttribute('role', 'group');
+    item.setAttribute('aria-roledescription', 'slide');
+    item.setAttribute(
+      'aria-label',
+      message.ariaLabel ||
+        (this.dataset.slideStatus ?? '').replace('[index]', String(index + 1)).replace('[length]', String(length))
+    );
+
+    const content = message.link ? document.createElement('a') : document.createElement('span');
+    content.className = 'annc__content';
+    if (content instanceof HTMLAnchorElement && message.link) content.href = message.link;
+
+    if (message.icon) {
+      const icon = document.createElement('span');
+      icon.className = 'annc__icon';
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = message.icon;
+      content.append(icon);
+    }
+
+    if (message.badge) {
+      const badge = document.createElement('span');
+      badge.className = 'annc__badge';
+      badge.textContent = message.badge;
+      content.append(badge);
+    }
+
+    const text = document.createElement('span');
+    text.className = 'annc__text';
+    text.innerHTML = message.text;
+    content.append(text);
+
+    const countdownTo = message.countdownTo ? Date.parse(message.countdownTo) : NaN;
+
+    if (!Number.isNaN(countdownTo)) {
+      const countdown = document.createElement('time');
+      countdown.className = 'annc__countdown';
+      countdown.dateTime = new Date(countdownTo).toISOString();
+      countdown.dataset.countdownTo = String(countdownTo);
+      content.append(countdown);
+    }
+
+    item.append(content);
+
+    return item;
+  }
+
+  /**
+   * Shows the message at the given index.
+   * @param {number} index
+   * @param {Object} [options]
+   * @param {boolean} [options.instant] - Whether to skip the transition.
+   */
+  #show(index, { instant = prefersReducedMotion() } = {}) {
+    const items = Array.from(this.refs.viewport.children);
+    const { length } = items;
+
+    if (!length) return;
+
+    this.#current = ((index % length) + length) % length;
+    this.refs.viewport.toggleAttribute('instant', instant);
+
+    items.forEach((item, itemIndex) => {
+      const hidden = itemIndex !== this.#current;
+
+      item.setAttribute('aria-hidden', String(hidden));
+      item.toggleAttribute('inert', hidden);
+    });
+  }
+
+  /**
+   * Re-checks the schedules and updates the countdowns every second.
+   */
+  #tick = () => {
+    const now = Date.now();
+    const scheduleChanged =
+      this.#messages.filter((message) => this.#isScheduled(message, now)).length !== this.#activeMessages.length ||
+      this.#activeMessages.some((message) => !this.#isScheduled(message, now));
+
+    if (scheduleChanged) {
+      this.#render();
+      this.play();
+      return;
     }
-  ],
-  "max_blocks": 8,
-  "presets": [
-    {
-      "name": "Announcement bar (Pro)",
-      "blocks": [
-        { "type": "message", "settings": { "badge": "NEW", "text": "<p>Autumn drop is live 🍁</p>" } },
-        { "type": "message", "settings": { "text": "<p>Free shipping over CHF 50</p>" } }
-      ]
+
+    this.#updateCountdowns();
+  };
+
+  /**
+   * Updates the remaining time of all countdowns.
+   */
+  #updateCountdowns() {
+    const now = Date.now();
+
+    for (const countdown of this.refs.viewport.querySelectorAll('[data-countdown-to]')) {
+      if (!(countdown instanceof HTMLElement)) continue;
+
+      const remaining = Number(countdown.dataset.countdownTo) - now;
+
+      countdown.hidden = remaining <= 0;
+      countdown.textContent = remaining > 0 ? formatRemainingTime(remaining) : '';
     }
-  ]
+  }
+
+  #handlePointerEnter = () => {
+    this.#hovered = true;
+  };
+
+  #handlePointerLeave = () => {
+    this.#hovered = false;
+  };
+
+  #handleFocusIn = () => {
+    this.#focused = true;
+  };
+
+  /**
+   * @param {FocusEvent} event
+   */
+  #handleFocusOut = (event) => {
+    if (event.relatedTarget instanceof Node && this.contains(event.relatedTarget)) return;
+
+    this.#focused = false;
+  };
+
+  #handleVisibilityChange = () => {
+    if (document.hidden) return;
+
+    this.#tick();
+  };
+}
+
+if (!customElements.get('announcement-rotator')) {
+  customElements.define('announcement-rotator', AnnouncementRotator);
+}
+
+/**
+ * Formats a duration as `1d 02:03:04`, dropping the days when there are none left.
+ * @param {number} milliseconds
+ * @returns {string}
+ */
+function formatRemainingTime(milliseconds) {
+  const totalSeconds = Math.floor(milliseconds / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const time = [Math.floor(totalSeconds / 3600) % 24, Math.floor(totalSeconds / 60) % 60, totalSeconds % 60]
+    .map((value) => String(value).padStart(2, '0'))
+    .join(':');
+
+  return days > 0 ? `${days}d ${time}` : time;
 }
-{% endschema %}
@@ -0,0 +1,200 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+
+/** The key used to store the variants subscribed to in local storage */
+const STORAGE_KEY = 'backInStockSubscriptions';
+
+/**
+ * Retrieves the ids of the variants the shopper subscribed to.
+ * @returns {string[]}
+ */
+function getSubscriptions() {
+  try {
+    const subscriptions = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+
+    return Array.isArray(subscriptions) ? subscriptions : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Remembers that the shopper subscribed to a variant.
+ * @param {string} variantId - The id of the variant.
+ */
+function addSubscription(variantId) {
+  const subscriptions = getSubscriptions().filter((id) => id !== variantId);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([...subscriptions, variantId]));
+  } catch (_) {
+    // no-op, the form is shown again on the next visit
+  }
+}
+
+/**
+ * A custom element that lets shoppers ask to be notified when an unavailable variant is back in stock.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLFormElement} form - The notification form.
+ * @property {HTMLInputElement} email - The email input.
+ * @property {HTMLInputElement} [phone] - The phone input, when SMS notifications are enabled.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} error - The error message.
+ * @property {HTMLElement} success - The message shown once subscribed.
+ *
+ * @extends {Component<Refs>}
+ */
+class BackInStockComponent extends Component {
+  requiredRefs = ['form', 'email', 'submitButton', 'error', 'success'];
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog, product-card');
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The quick add dialog renders the form of another product in place
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * Validates the contact details and subscribes to the variant.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const { email, phone, submitButton } = this.refs;
+    const { endpoint, productId, variantId } = this.dataset;
+
+    if (!endpoint || !variantId) return;
+
+    const error = this.#validate();
+
+    if (error) {
+      this.#showError(error);
+      return;
+    }
+
+    this.#showError(null);
+    submitButton.disabled = true;
+
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({
+          email: email.value.trim() || null,
+          phone: phone?.value.trim() || null,
+          product_id: productId,
+          variant_id: variantId,
+          locale: document.documentElement.lang,
+        }),
+      });
+
+      if (!response.ok) throw new Error(`Back in stock subscription failed with status ${response.status}`);
+
+      addSubscription(variantId);
+      this.refs.form.reset();
+      this.#render();
+    } catch (error) {
+      console.error(error);
+      this.#showError(this.dataset.errorText ?? '');
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Checks that the shopper entered an email address or a phone number, and that they're valid.
+   * @returns {string | null} The error message, if any.
+   */
+  #validate() {
+    const { email, phone } = this.refs;
+    const { requiredText = '', invalidText = '' } = this.dataset;
+
+    if (!email.value.trim() && !phone?.value.trim()) return requiredText;
+    if (!email.checkValidity() || (phone && !phone.checkValidity())) return invalidText;
+
+    return null;
+  }
+
+  /**
+   * Shows the form for unavailable variants, and hides it for available ones.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const variant = event.detail.resource;
+
+    // Shoppers can only subscribe to a variant that exists
+    if (variant) {
+      this.dataset.variantId = variant.id;
+      this.toggleAttribute('data-available', variant.available);
+    } else {
+      delete this.dataset.variantId;
+    }
+
+    this.#showError(null);
+    this.#render();
+  };
+
+  /**
+   * Renders the form, or the confirmation when the shopper already subscribed to the variant.
+   */
+  #render() {
+    const { form, success } = this.refs;
+    const { variantId } = this.dataset;
+    const subscribed = Boolean(variantId && getSubscriptions().includes(variantId));
+
+    this.hidden = !variantId || this.hasAttribute('data-available');
+    form.hidden = subscribed;
+    success.hidden = !subscribed;
+  }
+
+  /**
+   * Shows an error message, or hides it.
+   * @param {string | null} message - The error message.
+   */
+  #showError(message) {
+    const { error, email, phone } = this.refs;
+
+    error.textContent = message ?? '';
+    error.hidden = !message;
+
+    for (const input of [email, phone]) {
+      if (!input) continue;
+
+      if (message) {
+        input.setAttribute('aria-invalid', 'true');
+      } else {
+        input.removeAttribute('aria-invalid');
+      }
+    }
+  }
+}
+
+if (!customElements.get('back-in-stock-component')) {
+  customElements.define('back-in-stock-component', BackInStockComponent);
+}
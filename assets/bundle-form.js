@@ -0,0 +1,264 @@
+import { Component } from '@theme/component';
+import { CartAddEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { cartPerformance } from '@theme/performance';
+import { flyToCart } from '@theme/product-form';
+
+/**
+ * @typedef {Object} BundleLine
+ * @property {HTMLElement} item - The bundle item the line comes from.
+ * @property {string} variantId - The id of the selected variant.
+ * @property {string} productId - The id of the product.
+ * @property {string} title - The title of the product, used to match the errors of the cart route.
+ * @property {number} quantity - The quantity to add.
+ */
+
+/**
+ * A custom element that adds several products to the cart in a single request, e.g. to buy a set.
+ *
+ * Each item holds a `[data-bundle-variant]` input or select with the variant id, an optional quantity
+ * selector and a `[data-bundle-error]` element. Items with a quantity of 0 are left out.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement[]} items - The bundle items.
+ * @property {HTMLButtonElement} addToCartButton - The add to cart button.
+ * @property {HTMLElement} [addToCartTextError] - The error shown when the bundle can't be added.
+ * @property {HTMLElement} liveRegion - The live region.
+ *
+ * @extends {Component<Refs>}
+ */
+class BundleFormComponent extends Component {
+  requiredRefs = ['items', 'addToCartButton', 'liveRegion'];
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#updateButtonState();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+  }
+
+  /**
+   * Handles the submit event for the bundle form.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const lines = this.#getLines();
+
+    if (this.refs.addToCartButton.disabled || !lines.length) return;
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+    this.#clearErrors();
+
+    const formData = new FormData();
+
+    lines.forEach(({ variantId, quantity }, index) => {
+      formData.append(`items[${index}][id]`, variantId);
+      formData.append(`items[${index}][quantity]`, String(quantity));
+    });
+
+    /** @type {string[]} */
+    const cartItemComponentsSectionIds = [];
+    document.querySelectorAll('cart-items-component').forEach((item) => {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        cartItemComponentsSectionIds.push(item.dataset.sectionId);
+      }
+    });
+
+    this.#animateFlyToCart(lines);
+
+    const itemCount = lines.reduce((total, line) => total + line.quantity, 0);
+    const items = lines.map(({ variantId, productId, quantity }) => ({ variantId, productId, quantity }));
+
+    cartStore
+      .add(formData, { sourceId: this.id, sections: cartItemComponentsSectionIds })
+      .then(({ ok, response, stale, queued }) => {
+        if (queued) {
+          this.#showError(Theme.translations.cart_offline_add ?? '');
+          return;
+        }
+
+        if (!ok) {
+          this.#showLineErrors(lines, response.description ?? response.message ?? '');
+
+          this.dispatchEvent(
+            new CartAddEvent(cartStore.cart ?? {}, this.id, {
+              didError: true,
+              source: 'bundle-form-component',
+              itemCount,
+              items,
+            })
+          );
+
+          return;
+        }
+
+        this.refs.liveRegion.textContent = Theme.translations.added ?? '';
+        this.#timeout = setTimeout(() => {
+          this.refs.liveRegion.textContent = '';
+        }, 5000);
+
+        this.dispatchEvent(
+          new CartAddEvent(cartStore.cart ?? {}, this.id, {
+            source: 'bundle-form-component',
+            itemCount,
+            items,
+            sections: stale ? undefined : response.sections,
+          })
+        );
+      })
+      .catch((error) => {
+        console.error(error);
+      })
+      .finally(() => {
+        cartPerformance.measureFromEvent('add:user-action', event);
+      });
+  }
+
+  /**
+   * Updates the image of an item when another variant is selected.
+   * @param {Event} event - The change event.
+   */
+  selectVariant(event) {
+    const select = event.target;
+
+    if (!(select instanceof HTMLSelectElement)) return;
+
+    const option = select.selectedOptions[0];
+    const image = select.closest('.bundle-form__item')?.querySelector('img');
+
+    if (image && option?.dataset.image) {
+      image.src = option.dataset.image;
+      image.removeAttribute('srcset');
+    }
+
+    this.#updateButtonState();
+  }
+
+  /**
+   * Gets the lines to add to the cart.
+   * @returns {BundleLine[]}
+   */
+  #getLines() {
+    return this.refs.items.flatMap((item) => {
+      const variant = item.querySelector('[data-bundle-variant]');
+      const quantityInput = item.querySelector('input[name="quantity"]');
+      const quantity = quantityInput instanceof HTMLInputElement ? parseInt(quantityInput.value, 10) : 1;
+
+      if (!(variant instanceof HTMLInputElement || variant instanceof HTMLSelectElement)) return [];
+      if (!variant.value || variant.disabled || !(quantity > 0)) return [];
+
+      // Sold out products keep their first variant selected, as a disabled option
+      if (variant instanceof HTMLSelectElement && variant.selectedOptions[0]?.disabled) return [];
+
+      return [
+        {
+          item,
+          variantId: variant.value,
+          productId: item.dataset.productId ?? '',
+          title: item.dataset.productTitle ?? '',
+          quantity,
+        },
+      ];
+    });
+  }
+
+  /**
+   * Disables the add to cart button when none of the selected variants are available.
+   */
+  #updateButtonState() {
+    const available = this.refs.items.some((item) => {
+      const variant = item.querySelector('[data-bundle-variant]');
+
+      if (variant instanceof HTMLSelectElement) return !variant.selectedOptions[0]?.disabled;
+
+      return variant instanceof HTMLInputElement && !variant.disabled;
+    });
+
+    this.refs.addToCartButton.disabled = !available;
+  }
+
+  /**
+   * Animates the image of every line flying to the cart, one after the other.
+   * @param {BundleLine[]} lines
+   */
+  #animateFlyToCart(lines) {
+    lines.forEach(({ item }, index) => {
+      const image = item.querySelector('img');
+
+      if (!image?.currentSrc) return;
+
+      setTimeout(() => flyToCart(image, image.currentSrc), index * 150);
+    });
+  }
+
+  /**
+   * Shows an error next to the lines it mentions, or for the whole bundle when it doesn't mention any.
+   * The cart route rejects the whole request when a line can't be added and names that product in its message.
+   * @param {BundleLine[]} lines
+   * @param {string} message
+   */
+  #showLineErrors(lines, message) {
+    const failedLines = lines.filter(({ title }) => title && message.includes(title));
+
+    if (!failedLines.length) {
+      this.#showError(message);
+      return;
+    }
+
+    for (const { item } of failedLines) {
+      const error = item.querySelector('[data-bundle-error]');
+
+      if (!(error instanceof HTMLElement)) continue;
+
+      error.textContent = message;
+      error.classList.remove('hidden');
+    }
+
+    this.refs.liveRegion.textContent = message;
+  }
+
+  /**
+   * Shows a message in the add to cart error element and announces it.
+   * @param {string} message
+   */
+  #showError(message) {
+    const { addToCartTextError, liveRegion } = this.refs;
+
+    liveRegion.textContent = message;
+
+    if (!addToCartTextError) return;
+
+    addToCartTextError.textContent = message;
+    addToCartTextError.classList.remove('hidden');
+
+    this.#timeout = setTimeout(() => {
+      addToCartTextError.classList.add('hidden');
+      liveRegion.textContent = '';
+    }, 10000);
+  }
+
+  /**
+   * Hides the errors of a previous submission.
+   */
+  #clearErrors() {
+    this.refs.addToCartTextError?.classList.add('hidden');
+
+    for (const error of this.querySelectorAll('[data-bundle-error]')) {
+      error.classList.add('hidden');
+    }
+  }
+}
+
+if (!customElements.get('bundle-form-component')) {
+  customElements.define('bundle-form-component', BundleFormComponent);
+}
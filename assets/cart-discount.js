@@ -1,7 +1,7 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
+import { cartStore } from '@theme/cart-store';
 import { cartPerformance } from '@theme/performance';
 
 /**
@@ -23,8 +23,6 @@ import { cartPerformance } from '@theme/performance';
 class CartDiscount extends Component {
   requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
 
-  /** @type {AbortController | null} */
-  #activeFetch = null;
   /** @type {HTMLButtonElement | null} */
   #submitBtn = null;
   /** @type {HTMLElement | null} */
@@ -32,12 +30,6 @@ class CartDiscount extends Component {
 
   // ---------- utils ----------
 
-  #newAbort() {
-    if (this.#activeFetch) this.#activeFetch.abort();
-    this.#activeFetch = new AbortController();
-    return this.#activeFetch;
-  }
-
   #normalizeCode(raw) {
     if (typeof raw !== 'string') return '';
     // Trim, collapse inner whitespace, remove leading '#', and uppercase
@@ -125,29 +117,14 @@ class CartDiscount extends Component {
     this.#hideAllErrors();
     this.#lockUI(form, 'Applying…');
 
-    const controller = this.#newAbort();
-
     try {
-      const body = {
-        discount: [...existing, code].join(','),
-        sections: [this.dataset.sectionId],
-      };
-      const config = fetchConfig('json', { body: JSON.stringify(body) });
-
-      const res = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: controller.signal,
-      });
-
-      // Robust JSON parsing
-      let data = {};
-      try {
-        data = await res.json();
-      } catch {
-        // Non-JSON response
-      }
+      // Queued with the other cart changes so a discount can't race a quantity update
+      const { ok, response: data } = await cartStore.update(
+        { discount: [...existing, code].join(',') },
+        { sourceId: this.id, sections: [this.dataset.sectionId] }
+      );
 
-      if (!res.ok || !data || typeof data !== 'object') {
+      if (!ok || !data || typeof data !== 'object') {
         this.#showError('discount_code');
         return;
       }
@@ -200,12 +177,9 @@ class CartDiscount extends Component {
       // Success: clear input
       input.value = '';
     } catch (err) {
-      if (err?.name !== 'AbortError') {
-        // Network/problem → show generic code error
-        this.#showError('discount_code');
-      }
+      // Network/problem → show generic code error
+      this.#showError('discount_code');
     } finally {
-      this.#activeFetch = null;
       this.#unlockUI('');
       cartPerformance.measureFromEvent('discount-update:user-action', event);
     }
@@ -235,29 +209,19 @@ class CartDiscount extends Component {
     if (idx === -1) return;
     existing.splice(idx, 1);
 
-    const controller = this.#newAbort();
-
     try {
-      const body = { discount: existing.join(','), sections: [this.dataset.sectionId] };
-      const config = fetchConfig('json', { body: JSON.stringify(body) });
-
-      const res = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: controller.signal,
-      });
+      const { ok, response: data } = await cartStore.update(
+        { discount: existing.join(',') },
+        { sourceId: this.id, sections: [this.dataset.sectionId] }
+      );
 
-      let data = {};
-      try { data = await res.json(); } catch {}
-
-      if (!res.ok || !data || typeof data !== 'object') return;
+      if (!ok || !data || typeof data !== 'object') return;
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       const html = data.sections?.[this.dataset.sectionId];
       if (typeof html === 'string') morphSection(this.dataset.sectionId, html);
     } catch (err) {
       // swallow; UI still shows prior state
-    } finally {
-      this.#activeFetch = null;
     }
   };
 }
@@ -1,6 +1,6 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { ThemeEvents, CartUpdateEvent, CartOptimisticUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that displays a cart icon.
@@ -28,6 +28,7 @@ class CartIcon extends Component {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    document.addEventListener(ThemeEvents.cartOptimisticUpdate, this.onCartOptimisticUpdate);
     this.ensureCartBubbleIsCorrect();
   }
 
@@ -35,6 +36,7 @@ class CartIcon extends Component {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    document.removeEventListener(ThemeEvents.cartOptimisticUpdate, this.onCartOptimisticUpdate);
   }
 
   /**
@@ -42,12 +44,35 @@ class CartIcon extends Component {
    * @param {CartUpdateEvent} event - The cart update event.
    */
   onCartUpdate = async (event) => {
+    const cartItemCount = event.detail.resource?.item_count;
+
+    // Prefer the cart object when the event carries one, the item count of a product form is relative
+    if (typeof cartItemCount === 'number') {
+      this.renderCartBubble(cartItemCount, false, cartItemCount !== this.currentCartCount);
+      return;
+    }
+
     const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
+    const source = event.detail.data?.source;
+    const comingFromProductForm = source === 'product-form-component' || source === 'bundle-form-component';
 
     this.renderCartBubble(itemCount, comingFromProductForm);
   };
 
+  /**
+   * Renders the item count of the cart including pending changes.
+   * @param {CartOptimisticUpdateEvent} event - The optimistic cart update event.
+   */
+  onCartOptimisticUpdate = (event) => {
+    const itemCount = event.detail.resource.item_count;
+
+    this.refs.cartBubble.classList.toggle('cart-bubble--pending', Boolean(event.detail.data.queued));
+
+    if (itemCount === this.currentCartCount) return;
+
+    this.renderCartBubble(itemCount, false, !event.detail.data.rollback);
+  };
+
   /**
    * Renders the cart bubble.
    * @param {number} itemCount - The number of items in the cart.
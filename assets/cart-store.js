@@ -0,0 +1,619 @@
+import { fetchConfig, onDocumentReady, requestIdleCallback } from '@theme/utilities';
+import { CartErrorEvent, CartOptimisticUpdateEvent, CartUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} CartLine
+ * @property {string} key - The line item key.
+ * @property {number} variant_id - The id of the variant.
+ * @property {number} product_id - The id of the product.
+ * @property {string} product_title - The title of the product.
+ * @property {string | null} variant_title - The title of the variant, null for products without variants.
+ * @property {string | null} image - The url of the line image.
+ * @property {string} url - The url of the variant.
+ * @property {number} quantity - The quantity of the line.
+ * @property {number} final_price - The price of a single item, in cents.
+ * @property {number} final_line_price - The price of the line, in cents.
+ * @property {Record<string, string>} [properties] - The line item properties.
+ * @property {{ selling_plan: { id: number } } | null} [selling_plan_allocation] - The selling plan of the line.
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {number} item_count - The number of items in the cart.
+ * @property {number} total_price - The total price of the cart, in cents.
+ * @property {string | null} note - The cart note.
+ * @property {CartLine[]} items - The cart lines.
+ */
+
+/**
+ * @typedef {Object} CartMutationOptions
+ * @property {string} sourceId - The id of the element the action was triggered from.
+ * @property {string[]} [sections] - The ids of the sections to render in the response.
+ */
+
+/**
+ * @typedef {Object} CartMutationResult
+ * @property {boolean} ok - Whether the server accepted the change.
+ * @property {any} response - The parsed response of the cart route, null when the change was queued offline.
+ * @property {boolean} stale - Whether more line changes are queued, which makes the rendered sections outdated.
+ * @property {boolean} [queued] - Whether the change was kept to be sent once the connection is back.
+ */
+
+/**
+ * @typedef {Object} CartAddBody
+ * @property {[string, FormDataEntryValue][]} entries - The product form entries.
+ */
+
+/**
+ * @typedef {Object} CartChangeBody
+ * @property {string} [id] - The line item key.
+ * @property {number} [line] - The 1-based index of the line.
+ * @property {number} quantity - The new quantity.
+ */
+
+/**
+ * @typedef {Object} CartUpdateBody
+ * @property {string} [note] - The new cart note.
+ * @property {string} [discount] - The comma separated discount codes to apply.
+ * @property {Record<string, string>} [attributes] - The cart attributes to set.
+ */
+
+/**
+ * A serializable description of a cart change, which is what gets persisted while offline.
+ *
+ * @typedef {{ type: 'add', body: CartAddBody } | { type: 'change', body: CartChangeBody } | { type: 'update', body: CartUpdateBody }} CartMutationPayload
+ */
+
+/**
+ * @typedef {Object} OfflineEntry
+ * @property {string} id - Identifies the change across tabs and page loads.
+ * @property {CartMutationPayload & CartMutationOptions} payload - The change to send.
+ */
+
+/**
+ * @typedef {Object} CartMutation
+ * @property {string} id - Identifies the change once it's persisted.
+ * @property {CartMutationPayload & CartMutationOptions} payload - The change to send.
+ * @property {string} url - The cart route to post to.
+ * @property {() => RequestInit} request - Builds the request, called when the mutation is sent.
+ * @property {(cart: Cart) => void} optimistic - Applies the expected outcome to a copy of the cart.
+ * @property {boolean} offline - Whether the mutation waits for the connection to come back.
+ * @property {boolean} replaying - Whether the mutation is being sent after the connection came back.
+ */
+
+/**
+ * Holds the cart state shared by all cart components.
+ *
+ * Changes are sent one at a time in the order they were requested, while their expected outcome is
+ * applied right away and broadcast with a `CartOptimisticUpdateEvent`. A change the server rejects is
+ * rolled back and reported with a `CartErrorEvent`.
+ *
+ * Line changes and notes that can't reach the server are kept in localStorage and sent again in order
+ * once the browser is back online. The stored queue is shared by every tab, so each change is taken out of
+ * it right before it's sent, and a tab whose change was already taken by another tab drops it.
+ */
+class CartStore {
+  /** @static @constant {string} The key used to persist the changes made while offline */
+  static #STORAGE_KEY = 'cart-offline-queue';
+
+  /**
+   * The cart as last confirmed by the server.
+   * @type {Cart | null}
+   */
+  #confirmed = null;
+
+  /**
+   * The changes that are queued, in flight or waiting for the connection, in the order they were made.
+   * @type {CartMutation[]}
+   */
+  #pending = [];
+
+  /**
+   * The tail of the request queue.
+   * @type {Promise<unknown>}
+   */
+  #queue = Promise.resolve();
+
+  constructor() {
+    this.#pending = this.#readOfflineQueue().map(({ id, payload }) => ({
+      ...this.#createMutation(payload),
+      id,
+      offline: true,
+    }));
+
+    window.addEventListener('online', this.#replay);
+
+    onDocumentReady(() =>
+      requestIdleCallback(async () => {
+        await this.#queue;
+        if (!this.#confirmed) await this.refresh();
+        if (this.queuedOffline) this.#notify('cart-store');
+        if (navigator.onLine) this.#replay();
+      })
+    );
+  }
+
+  /**
+   * The cart including all pending changes, or null until the cart has been loaded.
+   * @returns {Cart | null}
+   */
+  get cart() {
+    if (!this.#confirmed) return null;
+
+    const cart = structuredClone(this.#confirmed);
+
+    for (const mutation of this.#pending) {
+      mutation.optimistic(cart);
+    }
+
+    return cart;
+  }
+
+  /**
+   * Whether any change is queued or in flight.
+   * @returns {boolean}
+   */
+  get isPending() {
+    return this.#pending.some((mutation) => !mutation.offline);
+  }
+
+  /**
+   * The number of changes waiting for the connection to come back.
+   * @returns {number}
+   */
+  get queuedOffline() {
+    return this.#pending.filter((mutation) => mutation.offline || mutation.replaying).length;
+  }
+
+  /**
+   * Loads the cart from the server.
+   * @returns {Promise<Cart | null>}
+   */
+  async refresh() {
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}.js`, { headers: { Accept: 'application/json' } });
+
+      if (response.ok) this.#confirmed = await response.json();
+    } catch (error) {
+      console.error(error);
+    }
+
+    return this.#confirmed;
+  }
+
+  /**
+   * Adds items to the cart.
+   * @param {FormData} formData - The product form data, with a single `id` or several `items[n][id]` entries.
+   * @param {CartMutationOptions} options
+   * @returns {Promise<CartMutationResult>}
+   */
+  add(formData, { sourceId, sections = [] }) {
+    const entries = [...formData.entries()].filter(([key]) => key !== 'sections');
+
+    return this.#enqueue({ type: 'add', body: { entries }, sourceId, sections });
+  }
+
+  /**
+   * Changes the quantity of a cart line.
+   * @param {CartChangeBody} change - Prefer the line item key over `line`, it's stable while changes are queued.
+   * @param {CartMutationOptions} options
+   * @returns {Promise<CartMutationResult>}
+   */
+  change(change, { sourceId, sections = [] }) {
+    return this.#enqueue({ type: 'change', body: change, sourceId, sections });
+  }
+
+  /**
+   * Updates the cart note, discount codes or attributes.
+   * @param {CartUpdateBody} update
+   * @param {CartMutationOptions} options
+   * @returns {Promise<CartMutationResult>}
+   */
+  update(update, { sourceId, sections = [] }) {
+    return this.#enqueue({ type: 'update', body: update, sourceId, sections });
+  }
+
+  /**
+   * Creates the mutation for a change.
+   * @param {CartMutationPayload & CartMutationOptions} payload
+   * @returns {CartMutation}
+   */
+  #createMutation(payload) {
+    const sections = payload.sections ?? [];
+    const mutation = { id: crypto.randomUUID(), payload, offline: false, replaying: false };
+
+    if (payload.type === 'add') {
+      const { entries } = payload.body;
+      const items = getAddedItems(entries);
+
+      return {
+        ...mutation,
+        url: Theme.routes.cart_add_url,
+        request: () => {
+          const body = new FormData();
+
+          for (const [key, value] of entries) {
+            body.append(key, value);
+          }
+
+          if (sections.length) body.append('sections', sections.join(','));
+
+          const config = fetchConfig('javascript', { body });
+
+          return { ...config, headers: { ...config.headers, Accept: 'text/html' } };
+        },
+        optimistic: (cart) => {
+          for (const { variantId, quantity, hasProperties } of items) {
+            const line = hasProperties ? undefined : cart.items.find((item) => item.variant_id === variantId);
+
+            if (line) {
+              line.quantity += quantity;
+              line.final_line_price = line.final_price * line.quantity;
+              cart.total_price += line.final_price * quantity;
+            }
+
+            cart.item_count += quantity;
+          }
+        },
+      };
+    }
+
+    if (payload.type === 'change') {
+      const { id, line, quantity } = payload.body;
+
+      return {
+        ...mutation,
+        url: Theme.routes.cart_change_url,
+        request: () =>
+          fetchConfig('json', {
+            body: JSON.stringify({
+              ...(id ? { id } : { line }),
+              quantity,
+              sections: sections.join(','),
+              sections_url: window.location.pathname,
+            }),
+          }),
+        optimistic: (cart) => {
+          const index = id ? cart.items.findIndex((item) => item.key === id) : (line ?? 0) - 1;
+          const item = cart.items[index];
+
+          if (!item) return;
+
+          cart.item_count += quantity - item.quantity;
+          cart.total_price += item.final_price * (quantity - item.quantity);
+
+          if (quantity === 0) {
+            cart.items.splice(index, 1);
+          } else {
+            item.quantity = quantity;
+            item.final_line_price = item.final_price * quantity;
+          }
+        },
+      };
+    }
+
+    const update = payload.body;
+
+    return {
+      ...mutation,
+      url: Theme.routes.cart_update_url,
+      request: () =>
+        fetchConfig('json', {
+          body: JSON.stringify({
+            ...update,
+            ...(sections.length && { sections, sections_url: window.location.pathname }),
+          }),
+        }),
+      optimistic: (cart) => {
+        if (update.note !== undefined) cart.note = update.note;
+      },
+    };
+  }
+
+  /**
+   * Queues a change and applies its optimistic state.
+   * @param {CartMutationPayload & CartMutationOptions} payload
+   * @returns {Promise<CartMutationResult>}
+   */
+  #enqueue(payload) {
+    const mutation = this.#createMutation(payload);
+
+    // Changes made while offline go first, so they're applied in the order the shopper made them
+    if (navigator.onLine) this.#replay();
+
+    this.#pending.push(mutation);
+    this.#notify(payload.sourceId);
+
+    const result = this.#queue.then(() => this.#send(mutation));
+    this.#queue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Sends a mutation to the server.
+   * @param {CartMutation} mutation
+   * @returns {Promise<CartMutationResult>}
+   */
+  async #send(mutation) {
+    const { sourceId } = mutation.payload;
+
+    if (!navigator.onLine && this.#canQueueOffline(mutation)) {
+      return this.#queueOffline(mutation);
+    }
+
+    let response;
+
+    try {
+      response = await fetch(mutation.url, mutation.request());
+    } catch (error) {
+      if (this.#canQueueOffline(mutation)) return this.#queueOffline(mutation);
+
+      this.#reject(mutation, error instanceof Error ? error.message : String(error));
+      throw error;
+    }
+
+    let data;
+
+    try {
+      data = await response.json();
+    } catch (error) {
+      this.#reject(mutation, response.statusText || String(error));
+      throw error;
+    }
+
+    const errorMessage = getErrorMessage(response, data);
+
+    if (errorMessage) {
+      this.#reject(mutation, errorMessage);
+
+      // The server may still have applied part of the change, e.g. adding the maximum available quantity
+      if (mutation.payload.type !== 'update') await this.refresh();
+
+      return { ok: false, response: data, stale: this.#isStale() };
+    }
+
+    this.#settle(mutation);
+
+    if (isCart(data)) {
+      this.#confirmed = data;
+    } else if (this.#confirmed) {
+      // Responses such as the added line items don't include the cart, so assume the change went through until it loads
+      mutation.optimistic(this.#confirmed);
+      await this.refresh();
+    }
+
+    return { ok: true, response: data, stale: this.#isStale() };
+  }
+
+  /**
+   * Sends the changes made while offline, in the order they were made.
+   */
+  #replay = () => {
+    const mutations = this.#pending.filter((mutation) => mutation.offline);
+
+    if (!mutations.length) return;
+
+    let sentElsewhere = false;
+
+    for (const mutation of mutations) {
+      mutation.offline = false;
+      mutation.replaying = true;
+      this.#queue = this.#queue
+        .then(async () => {
+          if (await this.#takeOfflineEntry(mutation)) return this.#send(mutation);
+
+          // Another tab, or the page before this one, already sent it
+          sentElsewhere = true;
+          this.#settle(mutation);
+        })
+        .catch(() => {});
+    }
+
+    this.#queue = this.#queue.then(async () => {
+      if (sentElsewhere) await this.refresh();
+      if (this.isPending) return;
+
+      // The components that made these changes may be gone, so let every cart component render the result
+      const { cart } = this;
+      document.dispatchEvent(
+        new CartUpdateEvent(cart ?? {}, 'cart-store', { source: 'cart-store', itemCount: cart?.item_count })
+      );
+    });
+  };
+
+  /**
+   * Whether a mutation can wait for the connection to come back.
+   * Discount codes need an immediate answer and uploaded files can't be persisted.
+   * @param {CartMutation} mutation
+   * @returns {boolean}
+   */
+  #canQueueOffline({ payload }) {
+    if (payload.type === 'add') return payload.body.entries.every(([, value]) => typeof value === 'string');
+    if (payload.type === 'update') return Object.keys(payload.body).every((key) => key === 'note');
+
+    return true;
+  }
+
+  /**
+   * Keeps a mutation that couldn't reach the server until the connection comes back.
+   * @param {CartMutation} mutation
+   * @returns {CartMutationResult}
+   */
+  #queueOffline(mutation) {
+    mutation.offline = true;
+    mutation.replaying = false;
+    this.#addOfflineEntry(mutation);
+    this.#notify(mutation.payload.sourceId);
+
+    return { ok: false, queued: true, response: null, stale: this.#isStale() };
+  }
+
+  /**
+   * Removes a mutation the server answered.
+   * @param {CartMutation} mutation
+   */
+  #settle(mutation) {
+    this.#pending = this.#pending.filter((pending) => pending !== mutation);
+  }
+
+  /**
+   * Drops a rejected mutation and broadcasts the rolled back state.
+   * @param {CartMutation} mutation
+   * @param {string} message
+   */
+  #reject(mutation, message) {
+    const { replaying } = mutation;
+    const { sourceId } = mutation.payload;
+
+    this.#settle(mutation);
+    this.#notify(sourceId, true);
+
+    document.dispatchEvent(new CartErrorEvent(sourceId, message, { replay: replaying }));
+  }
+
+  /**
+   * Broadcasts the optimistic cart state.
+   * @param {string} sourceId
+   * @param {boolean} [rollback]
+   */
+  #notify(sourceId, rollback = false) {
+    const { cart } = this;
+
+    if (!cart) return;
+
+    document.dispatchEvent(new CartOptimisticUpdateEvent(cart, sourceId, { rollback, queued: this.queuedOffline }));
+  }
+
+  /**
+   * Whether queued line changes will make the current response outdated.
+   * @returns {boolean}
+   */
+  #isStale() {
+    return this.#pending.some((mutation) => mutation.payload.type !== 'update' && !mutation.offline);
+  }
+
+  /**
+   * Persists a change waiting for the connection to come back, next to the ones of the other tabs.
+   * @param {CartMutation} mutation
+   * @returns {Promise<void>}
+   */
+  #addOfflineEntry({ id, payload }) {
+    return this.#withOfflineQueueLock(() => {
+      const queue = this.#readOfflineQueue();
+
+      if (!queue.some((entry) => entry.id === id)) this.#writeOfflineQueue([...queue, { id, payload }]);
+    });
+  }
+
+  /**
+   * Takes a change out of the persisted queue before it's sent, so no other tab or page sends it again.
+   * @param {CartMutation} mutation
+   * @returns {Promise<boolean>} Whether the change was still queued.
+   */
+  #takeOfflineEntry({ id }) {
+    return this.#withOfflineQueueLock(() => {
+      const queue = this.#readOfflineQueue();
+      const remaining = queue.filter((entry) => entry.id !== id);
+
+      if (remaining.length === queue.length) return false;
+
+      this.#writeOfflineQueue(remaining);
+      return true;
+    });
+  }
+
+  /**
+   * Runs a read and write of the persisted queue without the other tabs changing it in between.
+   * @template T
+   * @param {() => T} callback
+   * @returns {Promise<T>}
+   */
+  #withOfflineQueueLock(callback) {
+    if (!navigator.locks) return Promise.resolve().then(callback);
+
+    return navigator.locks.request(CartStore.#STORAGE_KEY, callback);
+  }
+
+  /**
+   * Reads the changes persisted while offline.
+   * @returns {OfflineEntry[]}
+   */
+  #readOfflineQueue() {
+    try {
+      const queue = JSON.parse(localStorage.getItem(CartStore.#STORAGE_KEY) || '[]');
+
+      return Array.isArray(queue) ? queue.filter((entry) => typeof entry?.id === 'string' && entry.payload) : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Persists the changes waiting for the connection to come back.
+   * @param {OfflineEntry[]} queue
+   */
+  #writeOfflineQueue(queue) {
+    try {
+      if (queue.length) {
+        localStorage.setItem(CartStore.#STORAGE_KEY, JSON.stringify(queue));
+      } else {
+        localStorage.removeItem(CartStore.#STORAGE_KEY);
+      }
+    } catch (_) {
+      // no-op, the changes are still sent if the page stays open
+    }
+  }
+}
+
+/**
+ * Reads the items added by the entries of a product form, either a single `id` or several `items[n][id]`.
+ * @param {[string, FormDataEntryValue][]} entries
+ * @returns {{ variantId: number, quantity: number, hasProperties: boolean }[]}
+ */
+function getAddedItems(entries) {
+  /** @type {Map<string, { variantId: number, quantity: number, hasProperties: boolean }>} */
+  const items = new Map();
+
+  for (const [key, value] of entries) {
+    const match = key.match(/^(?:items\[(\d+)\]\[)?(id|quantity|properties)\b/);
+
+    if (!match) continue;
+
+    const [, index = '', field] = match;
+    const item = items.get(index) ?? { variantId: NaN, quantity: 1, hasProperties: false };
+
+    if (field === 'id') item.variantId = Number(value);
+    if (field === 'quantity') item.quantity = Number(value) || 1;
+    if (field === 'properties') item.hasProperties = true;
+
+    items.set(index, item);
+  }
+
+  return [...items.values()];
+}
+
+/**
+ * Extracts the error message from a cart route response.
+ * @param {Response} response
+ * @param {any} data
+ * @returns {string | null}
+ */
+function getErrorMessage(response, data) {
+  if (response.ok && !data?.status && !data?.errors) return null;
+
+  const message = data?.errors ?? data?.description ?? data?.message;
+
+  return typeof message === 'string' && message ? message : response.statusText || 'Error';
+}
+
+/**
+ * Checks whether a response is a full cart object.
+ * @param {any} data
+ * @returns {data is Cart}
+ */
+function isCart(data) {
+  return Boolean(data) && typeof data.item_count === 'number' && Array.isArray(data.items);
+}
+
+export const cartStore = new CartStore();
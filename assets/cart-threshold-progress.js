@@ -0,0 +1,117 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { ThemeEvents, CartUpdateEvent, DiscountUpdateEvent } from '@theme/events';
+import { formatMoneyWithTemplate } from '@theme/money-format';
+
+/**
+ * @typedef {Object} Threshold
+ * @property {number} amount - The amount to spend, in cents of the store currency.
+ * @property {string} reward - What the customer unlocks, e.g. free shipping.
+ */
+
+/**
+ * A custom element that shows how much more customers need to spend to reach the next cart threshold.
+ * Thresholds are set in the store currency and converted to the currency the customer shops in.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the shop.
+ * @property {HTMLScriptElement} thresholds - The thresholds, in the order they were set.
+ * @property {HTMLElement} message - The remaining spend or the unlocked reward.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartThresholdProgress extends Component {
+  requiredRefs = ['moneyFormat', 'thresholds', 'message'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#onCartUpdate);
+
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#onCartUpdate);
+  }
+
+  /**
+   * The thresholds in the active currency, sorted by amount.
+   * @returns {Threshold[]}
+   */
+  get #thresholds() {
+    const rate = Number(window.Shopify?.currency?.rate) || 1;
+
+    try {
+      /** @type {Threshold[]} */
+      const thresholds = JSON.parse(this.refs.thresholds.textContent || '[]');
+
+      return thresholds
+        .map(({ amount, reward }) => ({ amount: Math.round(amount * rate), reward }))
+        .sort((a, b) => a.amount - b.amount);
+    } catch (error) {
+      console.error('Invalid cart thresholds', error);
+      return [];
+    }
+  }
+
+  /**
+   * Updates the total when the cart changes.
+   * @param {CartUpdateEvent | DiscountUpdateEvent} event
+   */
+  #onCartUpdate = async (event) => {
+    /** @type {{ total_price?: unknown }} */
+    const resource = event.detail.resource ?? {};
+    let total = resource.total_price;
+
+    // Most cart updates only send the rendered sections
+    if (typeof total !== 'number') {
+      const cart = cartStore.isPending ? null : (cartStore.cart ?? (await cartStore.refresh()));
+      total = cart?.total_price;
+    }
+
+    if (typeof total !== 'number') return;
+
+    this.dataset.total = total.toString();
+    this.#render();
+  };
+
+  /**
+   * Moves the meter to the cart total and describes the next threshold.
+   */
+  #render() {
+    const thresholds = this.#thresholds;
+    const total = Number(this.dataset.total) || 0;
+    const last = thresholds[thresholds.length - 1];
+
+    if (!last) return;
+
+    const next = thresholds.find(({ amount }) => amount > total);
+    const progress = Math.min(total / last.amount, 1) * 100;
+
+    this.style.setProperty('--cart-threshold-progress', `${progress.toFixed(2)}%`);
+
+    const message = next
+      ? (Theme.translations.cart_threshold_remaining ?? '').replace(
+          '[amount]',
+          formatMoneyWithTemplate(next.amount - total, this.refs.moneyFormat, this.dataset.currency)
+        )
+      : (Theme.translations.cart_threshold_reached ?? '');
+
+    this.refs.message.textContent = message.replace('[reward]', (next ?? last).reward);
+  }
+}
+
+if (!customElements.get('cart-threshold-progress')) {
+  customElements.define('cart-threshold-progress', CartThresholdProgress);
+}
@@ -0,0 +1,117 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { CartAddEvent } from '@theme/events';
+import { fetchCachedRecommendations } from '@theme/product-recommendations';
+
+/**
+ * A custom element that recommends products complementary to the line last added to the cart.
+ * Products already in the cart are left out, and each recommendation can be added with its quick add.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} list - The container the recommended products are rendered in.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartUpsellComponent extends Component {
+  requiredRefs = ['list'];
+
+  /**
+   * An abort controller for the active fetch (if there is one)
+   * @type {AbortController | null}
+   */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(CartAddEvent.eventName, this.#handleCartUpdate);
+
+    this.#loadRecommendations();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(CartAddEvent.eventName, this.#handleCartUpdate);
+    this.#activeFetch?.abort();
+  }
+
+  /**
+   * Loads the recommendations of an added product, and leaves out the products that are now in the cart.
+   * @param {CartAddEvent} event
+   */
+  #handleCartUpdate = (event) => {
+    const { data } = event.detail;
+    const productId = data.productId ?? data.items?.[data.items.length - 1]?.productId;
+
+    if (productId && !data.didError && String(productId) !== this.dataset.productId) {
+      this.dataset.productId = String(productId);
+      this.#loadRecommendations();
+      return;
+    }
+
+    this.#hideProductsInCart();
+  };
+
+  /**
+   * Loads the recommendations from the section rendering of the recommendations route.
+   */
+  async #loadRecommendations() {
+    const { productId, sectionId, url } = this.dataset;
+
+    if (!productId || !sectionId || !url) return;
+
+    this.#activeFetch?.abort();
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      const result = await fetchCachedRecommendations(
+        `${url}&product_id=${productId}&section_id=${sectionId}&intent=complementary`,
+        abortController.signal
+      );
+
+      if (abortController.signal.aborted) return;
+
+      if (!result.success) {
+        this.hidden = true;
+        return;
+      }
+
+      const html = new DOMParser().parseFromString(result.data, 'text/html');
+
+      this.refs.list.replaceChildren(...Array.from(html.querySelectorAll('[data-cart-upsell-list]')));
+      await this.#hideProductsInCart();
+    } catch (error) {
+      if (error instanceof Error && error.name === 'AbortError') return;
+
+      console.error('Cart upsell error:', error);
+      this.hidden = true;
+    } finally {
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
+    }
+  }
+
+  /**
+   * Hides the recommended products that are in the cart, and the whole rail when none are left.
+   */
+  async #hideProductsInCart() {
+    const cart = cartStore.cart ?? (await cartStore.refresh());
+    const productIds = new Set(cart?.items.map((item) => String(item.product_id)));
+    const limit = Number(this.dataset.limit) || Infinity;
+    let visibleCount = 0;
+
+    for (const item of this.refs.list.querySelectorAll('[data-product-id]')) {
+      if (!(item instanceof HTMLElement)) continue;
+
+      item.hidden = productIds.has(item.dataset.productId ?? '') || visibleCount >= limit;
+      if (!item.hidden) visibleCount++;
+    }
+
+    this.hidden = visibleCount === 0;
+  }
+}
+
+if (!customElements.get('cart-upsell-component')) {
+  customElements.define('cart-upsell-component', CartUpsellComponent);
+}
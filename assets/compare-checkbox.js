@@ -0,0 +1,62 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { ProductCompare } from '@theme/product-compare';
+
+/**
+ * A custom element that selects its product for comparison.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement} checkbox - The compare checkbox.
+ *
+ * @extends {Component<Refs>}
+ */
+class CompareCheckbox extends Component {
+  requiredRefs = ['checkbox'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#render);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#render);
+  }
+
+  /**
+   * Adds the product to the comparison, or removes it.
+   */
+  toggle() {
+    const { productId, productUrl, productTitle, productImage } = this.dataset;
+
+    if (!productId || !productUrl) return;
+
+    if (this.refs.checkbox.checked) {
+      ProductCompare.addProduct({ id: productId, url: productUrl, title: productTitle ?? '', image: productImage });
+    } else {
+      ProductCompare.removeProduct(productId);
+    }
+
+    // Keeps the checkbox unchecked when the comparison is full
+    this.#render();
+  }
+
+  /**
+   * Renders whether the product is selected, and disables the checkbox when no more products can be added.
+   */
+  #render = () => {
+    const { checkbox } = this.refs;
+    const checked = Boolean(this.dataset.productId && ProductCompare.hasProduct(this.dataset.productId));
+
+    checkbox.checked = checked;
+    checkbox.disabled = !checked && ProductCompare.isFull();
+  };
+}
+
+if (!customElements.get('compare-checkbox')) {
+  customElements.define('compare-checkbox', CompareCheckbox);
+}
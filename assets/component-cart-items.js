@@ -1,16 +1,30 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
   CartUpdateEvent,
   QuantitySelectorUpdateEvent,
   CartAddEvent,
+  CartOptimisticUpdateEvent,
+  CartErrorEvent,
   DiscountUpdateEvent,
 } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { savedForLater } from '@theme/saved-for-later-store';
 import { cartPerformance } from '@theme/performance';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-store').Cart} Cart */
+/** @typedef {import('./cart-store').CartLine} CartLine */
+
+/**
+ * @typedef {Object} GiftRule
+ * @property {number} variantId - The variant given away.
+ * @property {number} minSubtotal - The subtotal of the other lines to reach, in cents of the store currency.
+ * @property {number | null} productId - The product the cart needs to contain.
+ * @property {number[] | null} collectionProductIds - The products of the cart in the collection it needs a product of.
+ */
 
 /**
  * A custom element that displays a cart items component.
@@ -19,24 +33,63 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {HTMLElement} [cartPendingNotice] - The notice shown while changes wait for the connection.
+ * @property {HTMLElement} [cartReplayError] - The errors of changes the server rejected once the connection came back.
+ * @property {HTMLScriptElement} [giftRule] - The gift with purchase rule of the cart settings.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /**
+   * The messages of the offline changes the server rejected, kept until the shopper changes the cart again.
+   * @type {string[]}
+   */
+  #replayErrors = [];
+
+  /**
+   * Whether the gift is being added or removed, shared by the cart drawer and the cart page.
+   * @type {boolean}
+   */
+  static #giftSyncing = false;
+
+  /**
+   * Whether the gift couldn't be added, e.g. because it's sold out, so it isn't tried again on every change.
+   * @type {boolean}
+   */
+  static #giftDeclined = false;
+
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.cartOptimisticUpdate, this.#handleCartOptimisticUpdate);
+    document.addEventListener(ThemeEvents.cartError, this.#handleCartReplayError);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+
+    this.#renderOfflineState();
+
+    // The cart may have changed on pages without a cart, e.g. on the product page
+    if (this.refs.giftRule) cartStore.refresh().then(() => this.#syncGift());
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#renderOfflineState();
+
+    // Every cart change renders the cart again, so the gift follows the rendered rule and the settled cart
+    this.#syncGift();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.cartOptimisticUpdate, this.#handleCartOptimisticUpdate);
+    document.removeEventListener(ThemeEvents.cartError, this.#handleCartReplayError);
     document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
   }
 
@@ -58,7 +111,7 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
+    const lineItemRow = this.#getRow(line);
 
     if (!lineItemRow) return;
 
@@ -69,21 +122,25 @@ class CartItemsComponent extends Component {
   /**
    * Handles the line item removal.
    * @param {number} line - The line item index.
+   * @returns {Promise<boolean>} Whether the line was removed, or the removal was queued.
    */
   onLineItemRemove(line) {
-    this.updateQuantity({
+    const removal = this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    const cartItemRowToRemove = this.#getRow(line);
 
-    if (!cartItemRowToRemove) return;
+    if (!cartItemRowToRemove) return removal;
 
     const remove = () => cartItemRowToRemove.remove();
 
-    if (prefersReducedMotion()) return remove();
+    if (prefersReducedMotion()) {
+      remove();
+      return removal;
+    }
 
     // Add class to the row to trigger the animation
     cartItemRowToRemove.style.setProperty('--row-height', `${cartItemRowToRemove.clientHeight}px`);
@@ -91,6 +148,116 @@ class CartItemsComponent extends Component {
 
     // Remove the row after the animation ends
     onAnimationEnd(cartItemRowToRemove, remove);
+
+    return removal;
+  }
+
+  /**
+   * Moves a line to the saved for later list.
+   * @param {number} line - The line item index.
+   */
+  async onLineItemSaveForLater(line) {
+    const key = this.#getRow(line)?.dataset.key;
+
+    if (!key) return;
+
+    // The cart isn't loaded yet when nothing changed it since the page loaded
+    const cart = cartStore.cart ?? (await cartStore.refresh());
+    const cartLine = cart?.items.find((item) => item.key === key);
+
+    if (!cartLine) return;
+
+    const removed = await this.onLineItemRemove(line);
+
+    if (!removed) return;
+
+    savedForLater.add(
+      {
+        id: key,
+        variantId: cartLine.variant_id,
+        productId: cartLine.product_id,
+        quantity: cartLine.quantity,
+        properties: cartLine.properties ?? {},
+        sellingPlan: cartLine.selling_plan_allocation?.selling_plan.id,
+        title: cartLine.product_title,
+        variantTitle: cartLine.variant_title,
+        image: cartLine.image,
+        url: cartLine.url,
+      },
+      this.sectionId
+    );
+  }
+
+  /**
+   * Saves the edited properties of a line. The properties of a line can't be changed in place,
+   * so the line is added again with the new values and the old one is removed once that succeeded.
+   * @param {number} line - The line item index.
+   * @param {Event} event - The click event.
+   */
+  onLinePropertiesSave(line, event) {
+    const row = this.#getRow(line);
+    const editor = event.target instanceof Element ? event.target.closest('.cart-items__properties-editor') : null;
+    const quantityInput = row?.querySelector('input[data-cart-line]');
+    const key = row?.dataset.key;
+
+    if (!row?.dataset.variantId || !key || !editor || !(quantityInput instanceof HTMLInputElement)) return;
+
+    const fields = Array.from(editor.querySelectorAll('[data-property-name]')).filter(
+      (field) =>
+        field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement || field instanceof HTMLSelectElement
+    );
+    const invalidField = fields.find((field) => !field.checkValidity());
+
+    if (invalidField) {
+      invalidField.reportValidity();
+      return;
+    }
+
+    // Adding the same properties again would merge into this line and double its quantity
+    if (!fields.some(isFieldChanged)) {
+      if (editor instanceof HTMLDetailsElement) editor.open = false;
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('id', row.dataset.variantId);
+    formData.append('quantity', quantityInput.defaultValue);
+    if (row.dataset.sellingPlan) formData.append('selling_plan', row.dataset.sellingPlan);
+
+    for (const field of fields) {
+      const value = field.value.trim();
+
+      if (!value || (field instanceof HTMLInputElement && field.type === 'checkbox' && !field.checked)) continue;
+
+      formData.append(`properties[${field.dataset.propertyName}]`, value);
+    }
+
+    /** @type {TextComponent | null} */ (row.querySelector('text-component'))?.shimmer();
+
+    cartStore
+      .add(formData, { sourceId: this.sectionId })
+      .then(({ ok, queued, response }) => {
+        if (!ok && !queued) {
+          resetShimmer(this);
+          this.#handleCartError(line, response.description ?? response.message);
+          return;
+        }
+
+        // The line may have moved while the new one was added, so it's found again by its key
+        const currentLine = Number(this.refs.cartItemRows?.find((row) => row.dataset.key === key)?.dataset.line);
+
+        if (!currentLine) return;
+
+        if (queued || response.key !== key) {
+          this.onLineItemRemove(currentLine);
+        } else {
+          // The values were merged into this line after all, so only its quantity is restored
+          this.updateQuantity({ line: currentLine, quantity: Number(quantityInput.defaultValue), action: 'change' });
+        }
+      })
+      .catch((error) => {
+        console.error(error);
+      });
   }
 
   /**
@@ -99,50 +266,41 @@ class CartItemsComponent extends Component {
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @returns {Promise<boolean>} Whether the change was applied, or queued.
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
-    this.#disableCartItems();
-
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
-
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
-
     cartTotal?.shimmer();
+    this.#replayErrors = [];
+
+    return cartStore
+      .change(
+        { id: this.#getRow(line)?.dataset.key, line, quantity },
+        { sourceId: this.sectionId, sections: this.#getSectionsToUpdate() }
+      )
+      .then(({ ok, response, stale, queued }) => {
+        if (queued) {
+          resetShimmer(this);
+          this.#getRow(line)?.classList.add('cart-items__table-row--pending');
+          return true;
+        }
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
+        if (!ok) {
+          resetShimmer(this);
+          this.#handleCartError(line, response.errors ?? response.description ?? response.message);
+          return false;
+        }
+
+        // A change queued after this one renders the sections, morphing now would flash an outdated cart
+        if (stale) return true;
 
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
-        }
-
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
+        const newSectionHTML = new DOMParser().parseFromString(response.sections[this.sectionId], 'text/html');
 
         // Grab the new cart item count from a hidden element
         const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
@@ -152,17 +310,19 @@ class CartItemsComponent extends Component {
           new CartUpdateEvent({}, this.sectionId, {
             itemCount: newCartItemCount,
             source: 'cart-items-component',
-            sections: parsedResponseText.sections,
+            sections: response.sections,
           })
         );
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        morphSection(this.sectionId, response.sections[this.sectionId]);
+
+        return true;
       })
       .catch((error) => {
         console.error(error);
+        return false;
       })
       .finally(() => {
-        this.#enableCartItems();
         cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
       });
   }
@@ -178,14 +338,12 @@ class CartItemsComponent extends Component {
   /**
    * Handles the cart error.
    * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * @param {string} message - The error message.
    */
-  #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
-    const quantityInput = quantitySelector?.querySelector('input');
+  #handleCartError = (line, message) => {
+    const quantityInput = this.#getRow(line)?.querySelector('input[data-cart-line]');
 
-    if (!quantityInput) throw new Error('Quantity input not found');
+    if (!(quantityInput instanceof HTMLInputElement)) throw new Error('Quantity input not found');
 
     quantityInput.value = quantityInput.defaultValue;
 
@@ -195,7 +353,7 @@ class CartItemsComponent extends Component {
     if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
     if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = message;
     cartItemErrorContainer.classList.remove('hidden');
   };
 
@@ -214,23 +372,170 @@ class CartItemsComponent extends Component {
     const cartItemsHtml = event.detail.data.sections?.[this.sectionId];
     if (cartItemsHtml) {
       morphSection(this.sectionId, cartItemsHtml);
-    } else {
+    } else if (!cartStore.isPending) {
       sectionRenderer.renderSection(this.sectionId, { cache: false });
     }
   };
 
   /**
-   * Disables the cart items.
+   * Reflects pending cart changes in the rows before the server confirms them.
+   *
+   * @param {CartOptimisticUpdateEvent} event
+   */
+  #handleCartOptimisticUpdate = (event) => {
+    const { resource: cart, sourceId, data } = event.detail;
+
+    if (data.rollback) {
+      // The component that made the change shows the error and restores its own row
+      if (sourceId !== this.sectionId && !cartStore.isPending) {
+        sectionRenderer.renderSection(this.sectionId, { cache: false });
+      }
+      return;
+    }
+
+    for (const row of this.refs.cartItemRows ?? []) {
+      const line = cart.items.find((/** @type {{ key: string }} */ item) => item.key === row.dataset.key);
+
+      if (!line) {
+        row.classList.add('hidden');
+        continue;
+      }
+
+      const quantityInput = row.querySelector('input[data-cart-line]');
+      if (!(quantityInput instanceof HTMLInputElement)) continue;
+      if (Number(quantityInput.defaultValue) === line.quantity) continue;
+
+      if (document.activeElement !== quantityInput) quantityInput.value = String(line.quantity);
+
+      /** @type {TextComponent | null} */ (row.querySelector('text-component'))?.shimmer();
+    }
+
+    if (cartStore.isPending) this.refs.cartTotal?.shimmer();
+
+    this.#renderOfflineState(data.queued);
+  };
+
+  /**
+   * Keeps the errors of offline changes that were rejected once the connection came back.
+   * The component that made the change may be gone by then, so every cart shows them.
+   *
+   * @param {CartErrorEvent} event
+   */
+  #handleCartReplayError = (event) => {
+    if (!event.detail.data?.replay) return;
+
+    this.#replayErrors.push(event.detail.data.message);
+    this.#renderOfflineState();
+  };
+
+  /**
+   * Shows whether changes wait for the connection and which ones the server rejected.
+   * @param {number} [queued] - The number of changes waiting for the connection.
+   */
+  #renderOfflineState(queued = cartStore.queuedOffline) {
+    const { cartPendingNotice, cartReplayError } = this.refs;
+
+    cartPendingNotice?.classList.toggle('hidden', queued === 0);
+
+    if (!queued) {
+      for (const row of this.refs.cartItemRows ?? []) {
+        row.classList.remove('cart-items__table-row--pending');
+      }
+    }
+
+    if (cartReplayError) {
+      cartReplayError.textContent = this.#replayErrors.join(' ');
+      cartReplayError.classList.toggle('hidden', this.#replayErrors.length === 0);
+    }
+  }
+
+  /**
+   * Adds the gift with purchase when the cart meets the conditions of the promotion and removes it when it no longer does.
+   */
+  async #syncGift() {
+    const { giftRule } = this.refs;
+    const { cart } = cartStore;
+
+    // Wait for the changes to settle, the last one renders the cart again
+    if (!giftRule || !cart || cartStore.isPending || !navigator.onLine) return;
+    if (CartItemsComponent.#giftSyncing) return;
+
+    const rule = parseGiftRule(giftRule);
+
+    if (!rule) return;
+
+    const giftLine = cart.items.find(isGiftLine);
+    const qualifies = qualifiesForGift(cart, rule);
+    const options = { sourceId: this.sectionId, sections: this.#getSectionsToUpdate() };
+
+    /** @type {ReturnType<typeof cartStore.change> | undefined} */
+    let request;
+
+    if (giftLine && (!qualifies || giftLine.variant_id !== rule.variantId)) {
+      request = cartStore.change({ id: giftLine.key, quantity: 0 }, options);
+    } else if (!giftLine && qualifies && !CartItemsComponent.#giftDeclined) {
+      const formData = new FormData();
+      formData.append('id', String(rule.variantId));
+      formData.append('quantity', '1');
+      formData.append(`properties[${GIFT_PROPERTY}]`, 'true');
+
+      request = cartStore.add(formData, options);
+    }
+
+    if (!request) return;
+
+    CartItemsComponent.#giftSyncing = true;
+
+    try {
+      const { ok, queued, response } = await request;
+
+      if (!ok) {
+        if (!giftLine && !queued) CartItemsComponent.#giftDeclined = true;
+        return;
+      }
+
+      const sectionHTML = response.sections?.[this.sectionId];
+
+      // Send the whole cart, so the cart icon shows its count instead of adding the gift to it
+      this.dispatchEvent(
+        new CartUpdateEvent(cartStore.cart ?? {}, this.sectionId, {
+          itemCount: cartStore.cart?.item_count,
+          source: 'gift-with-purchase',
+          sections: response.sections,
+        })
+      );
+
+      if (sectionHTML) morphSection(this.sectionId, sectionHTML);
+    } catch (error) {
+      console.error(error);
+    } finally {
+      CartItemsComponent.#giftSyncing = false;
+    }
+  }
+
+  /**
+   * Gets the ids of the sections of all cart components, so a change renders all of them.
+   * @returns {string[]} The section ids.
    */
-  #disableCartItems() {
-    this.classList.add('cart-items-disabled');
+  #getSectionsToUpdate() {
+    const sectionsToUpdate = new Set([this.sectionId]);
+
+    document.querySelectorAll('cart-items-component').forEach((item) => {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionsToUpdate.add(item.dataset.sectionId);
+      }
+    });
+
+    return Array.from(sectionsToUpdate);
   }
 
   /**
-   * Enables the cart items.
+   * Gets the row of a cart line.
+   * @param {number} line - The 1-based index of the line when the cart was rendered.
+   * @returns {HTMLTableRowElement | undefined} The row.
    */
-  #enableCartItems() {
-    this.classList.remove('cart-items-disabled');
+  #getRow(line) {
+    return this.refs.cartItemRows?.find((row) => row.dataset.line === String(line));
   }
 
   /**
@@ -249,3 +554,66 @@ class CartItemsComponent extends Component {
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
+
+/**
+ * Checks whether the value of a personalization field differs from the value of the line.
+ * @param {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} field
+ * @returns {boolean}
+ */
+function isFieldChanged(field) {
+  if (field instanceof HTMLSelectElement) {
+    return Array.from(field.options).some((option) => option.selected !== option.defaultSelected);
+  }
+
+  if (field instanceof HTMLInputElement && field.type === 'checkbox') return field.checked !== field.defaultChecked;
+
+  return field.value !== field.defaultValue;
+}
+
+/**
+ * The line item property that marks the gift with purchase.
+ * @constant {string}
+ */
+const GIFT_PROPERTY = '_gift_with_purchase';
+
+/**
+ * Checks whether a cart line is the gift with purchase.
+ * @param {CartLine} line
+ * @returns {boolean}
+ */
+function isGiftLine(line) {
+  return Boolean(line.properties?.[GIFT_PROPERTY]);
+}
+
+/**
+ * Reads the gift with purchase rule rendered with the cart.
+ * @param {HTMLScriptElement} script
+ * @returns {GiftRule | null}
+ */
+function parseGiftRule(script) {
+  try {
+    return JSON.parse(script.textContent || 'null');
+  } catch (error) {
+    console.error('Invalid gift with purchase rule', error);
+    return null;
+  }
+}
+
+/**
+ * Checks whether the cart meets all the conditions of the gift with purchase, leaving the gift itself out.
+ * @param {Cart} cart
+ * @param {GiftRule} rule
+ * @returns {boolean}
+ */
+function qualifiesForGift(cart, rule) {
+  const lines = cart.items.filter((line) => !isGiftLine(line));
+  const subtotal = lines.reduce((total, line) => total + line.final_line_price, 0);
+  const minSubtotal = Math.round(rule.minSubtotal * (Number(window.Shopify?.currency?.rate) || 1));
+  const { productId, collectionProductIds } = rule;
+
+  if (lines.length === 0 || subtotal < minSubtotal) return false;
+  if (productId && !lines.some((line) => line.product_id === productId)) return false;
+  if (collectionProductIds && !lines.some((line) => collectionProductIds.includes(line.product_id))) return false;
+
+  return true;
+}
@@ -1,15 +1,54 @@
 import { Component } from '@theme/component';
-import { QuantitySelectorUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { InventoryModel } from '@theme/inventory-model';
+import { AddToCartComponent } from '@theme/product-form';
+import { QuantitySelectorUpdateEvent, ThemeEvents, VariantUpdateEvent, CartOptimisticUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that allows the user to select a quantity.
+ * The quantity follows the quantity rule of the variant. On product forms, the rule applies to the quantity
+ * already in the cart plus the selected quantity, which is also kept within the stock of the variant.
+ * When less than the minimum is left, the quantity stays at the minimum and the add to cart button is disabled.
  *
  * @typedef {Object} Refs
  * @property {HTMLInputElement} quantityInput
+ * @property {HTMLButtonElement[]} [quantityButtons] - The decrease and increase buttons.
+ * @property {HTMLElement} [ruleDescription] - The description of the quantity rule, read by screen readers.
  *
  * @extends {Component<Refs>}
  */
 class QuantitySelectorComponent extends Component {
+  #abortController = new AbortController();
+
+  /**
+   * Whether the selector disabled the add to cart button, because less than the minimum is left
+   * @type {boolean}
+   */
+  #disabledAddToCart = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Only the selectors of product forms track the variant and the cart, cart lines are rendered again instead
+    if (this.dataset.variantId) {
+      const { signal } = this.#abortController;
+      const target = this.closest('.shopify-section, dialog, product-card');
+      target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+      document.addEventListener(ThemeEvents.cartOptimisticUpdate, this.#onCartUpdate, { signal });
+
+      this.#updateCartQuantity(cartStore.cart?.items);
+      this.#checkQuantityRules();
+    }
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
   /**
    * Handles the quantity increase event.
    * @param {Event} event - The event.
@@ -18,7 +57,12 @@ class QuantitySelectorComponent extends Component {
     if (!(event.target instanceof HTMLElement)) return;
 
     event.preventDefault();
-    this.refs.quantityInput.stepUp();
+
+    const { min, max, increment } = this.#getLimits();
+    const value = this.#getValue();
+    const newValue = value < min ? min : value + increment;
+
+    this.#setValue(max === null ? newValue : Math.max(Math.min(newValue, max), min));
     this.#onQuantityChange(event);
   }
 
@@ -30,7 +74,12 @@ class QuantitySelectorComponent extends Component {
     if (!(event.target instanceof HTMLElement)) return;
 
     event.preventDefault();
-    this.refs.quantityInput.stepDown();
+
+    const { min, increment } = this.#getLimits();
+    const newValue = this.#getValue() - increment;
+
+    // Going below the minimum removes the line when the selector allows zero
+    this.#setValue(newValue >= min ? newValue : this.#allowsZero ? 0 : min);
     this.#onQuantityChange(event);
   }
 
@@ -67,22 +116,193 @@ class QuantitySelectorComponent extends Component {
     const { quantityInput } = this.refs;
 
     this.#checkQuantityRules();
+    this.#render();
     const newValue = parseInt(quantityInput.value);
 
     quantityInput.dispatchEvent(new QuantitySelectorUpdateEvent(newValue, Number(quantityInput.dataset.cartLine)));
   }
 
   /**
-   * Checks the quantity rules are met
+   * Clamps the quantity within the limits, and snaps it to the increment of the rule.
    */
   #checkQuantityRules = () => {
-    const { quantityInput } = this.refs;
-    const { min, max, value: newValue } = quantityInput;
+    const { min, max, increment } = this.#getLimits();
+    const value = this.#getValue();
 
-    if (newValue < min && min) quantityInput.value = min;
-    if (newValue > max && max) quantityInput.value = max;
+    if (value <= 0 && this.#allowsZero) {
+      this.#setValue(0);
+      return;
+    }
+
+    let newValue = Math.round(value / increment) * increment;
+    if (max !== null) newValue = Math.min(newValue, max);
+
+    // The value never goes below the minimum, even when less than the minimum is left
+    this.#setValue(Math.max(newValue, min));
   };
 
+  /**
+   * Gets the quantities the shopper can select, taking the quantity already in the cart into account.
+   * @returns {{ min: number, max: number | null, increment: number }}
+   */
+  #getLimits() {
+    const { ruleMin, ruleMax, ruleIncrement, cartQuantity } = this.dataset;
+    const increment = Math.max(Number(ruleIncrement) || 1, 1);
+    const inCart = Number(cartQuantity) || 0;
+    const limits = [Number(ruleMax) || null, this.#getStockLimit()].filter(
+      /** @returns {limit is number} */ (limit) => limit !== null
+    );
+
+    const min = inCart > 0 ? Math.max((Number(ruleMin) || 1) - inCart, increment) : Number(ruleMin) || 1;
+    // The largest multiple of the increment that fits, the rule applies to the total quantity in the cart
+    const max = limits.length ? Math.floor((Math.min(...limits) - inCart) / increment) * increment : null;
+
+    return { min, max, increment };
+  }
+
+  /**
+   * Gets the stock of the selected variant, when it can't be sold once out of stock.
+   * @returns {number | null}
+   */
+  #getStockLimit() {
+    const { variantId } = this.dataset;
+    const productForm = this.closest('product-form-component');
+
+    if (!variantId || !productForm) return null;
+
+    return InventoryModel.fromElement(productForm)?.getMaxQuantity(variantId) ?? null;
+  }
+
+  /**
+   * Whether the selector lets the shopper select zero, to remove a cart line.
+   * @returns {boolean}
+   */
+  get #allowsZero() {
+    return this.refs.quantityInput.min === '0';
+  }
+
+  /**
+   * @returns {number}
+   */
+  #getValue() {
+    return parseInt(this.refs.quantityInput.value) || 0;
+  }
+
+  /**
+   * @param {number} value
+   */
+  #setValue(value) {
+    this.refs.quantityInput.value = String(value);
+  }
+
+  /**
+   * Reads the quantity rule of the new variant from the server HTML.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newSelector = event.detail.data.html.querySelector('quantity-selector-component[data-variant-id]');
+
+    if (!(newSelector instanceof HTMLElement)) return;
+
+    for (const key of ['variantId', 'ruleMin', 'ruleMax', 'ruleIncrement', 'cartQuantity']) {
+      const value = newSelector.dataset[key];
+
+      if (value === undefined) {
+        delete this.dataset[key];
+      } else {
+        this.dataset[key] = value;
+      }
+    }
+
+    this.#updateCartQuantity(cartStore.cart?.items);
+
+    if (this.refs.ruleDescription) {
+      this.refs.ruleDescription.textContent = newSelector.querySelector('[ref="ruleDescription"]')?.textContent ?? '';
+    }
+
+    // The product form updated the add to cart button for the new variant
+    this.#disabledAddToCart = false;
+
+    // Starts from the minimum of the new variant
+    this.#setValue(this.#getLimits().min);
+    this.#onQuantityChange(event);
+  };
+
+  /**
+   * Applies the limits left by the quantity in the cart. The quantity wasn't changed by the shopper,
+   * so no update event is dispatched.
+   * @param {CartOptimisticUpdateEvent} event - The cart update event.
+   */
+  #onCartUpdate = (event) => {
+    this.#updateCartQuantity(event.detail.resource?.items);
+    this.#checkQuantityRules();
+    this.#render();
+  };
+
+  /**
+   * Updates the quantity of the variant that's already in the cart.
+   * @param {{ variant_id: number, quantity: number }[] | undefined} items - The cart lines.
+   */
+  #updateCartQuantity(items) {
+    if (!items) return;
+
+    const variantId = Number(this.dataset.variantId);
+    const quantity = items.reduce((total, item) => (item.variant_id === variantId ? total + item.quantity : total), 0);
+
+    this.dataset.cartQuantity = String(quantity);
+  }
+
+  /**
+   * Disables the buttons at the limits and exposes the limits on the input.
+   */
+  #render() {
+    const { quantityInput, quantityButtons = [] } = this.refs;
+    const { min, max, increment } = this.#getLimits();
+    const value = this.#getValue();
+    const [decreaseButton, increaseButton] = quantityButtons;
+    const belowMin = max !== null && max < min;
+
+    if (!this.#allowsZero) quantityInput.min = String(min);
+    if (max === null) {
+      quantityInput.removeAttribute('max');
+    } else {
+      quantityInput.max = String(Math.max(max, min));
+    }
+    quantityInput.step = String(increment);
+
+    if (decreaseButton) decreaseButton.disabled = this.#allowsZero ? value <= 0 : value <= min;
+    if (increaseButton) increaseButton.disabled = belowMin || (max !== null && value >= max);
+
+    this.#updateAddToCartButton(belowMin);
+  }
+
+  /**
+   * Disables the add to cart button of the product form while less than the minimum is left,
+   * and enables it again once the minimum fits.
+   * @param {boolean} belowMin - Whether less than the minimum is left.
+   */
+  #updateAddToCartButton(belowMin) {
+    if (!this.dataset.variantId || belowMin === this.#disabledAddToCart) return;
+
+    const addToCartComponent = this.closest('product-form-component')?.querySelector('add-to-cart-component');
+
+    if (!(addToCartComponent instanceof AddToCartComponent)) return;
+
+    if (belowMin) {
+      addToCartComponent.disable();
+    } else {
+      addToCartComponent.enable();
+    }
+
+    this.#disabledAddToCart = belowMin;
+  }
+
   /**
    * Gets the quantity input.
    * @returns {HTMLInputElement} The quantity input.
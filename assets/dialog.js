@@ -2,12 +2,15 @@ import { Component } from '@theme/component';
 import { debounce, isClickedOutside, onAnimationEnd } from '@theme/utilities';
 
 /**
- * A custom element that manages a dialog.
- *
- * @typedef {object} Refs
+ * @typedef {object} DialogRefs
  * @property {HTMLDialogElement} dialog – The dialog element.
+ */
+
+/**
+ * A custom element that manages a dialog.
  *
- * @extends Component<Refs>
+ * @template {DialogRefs} [T=DialogRefs]
+ * @extends Component<T>
  */
 export class DialogComponent extends Component {
   requiredRefs = ['dialog'];
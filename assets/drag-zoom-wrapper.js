@@ -1,8 +1,16 @@
-import { clamp, preventDefault, isMobileBreakpoint } from './utilities.js';
+import { clamp, preventDefault, isMobileBreakpoint, prefersReducedMotion } from './utilities.js';
 
 const MIN_ZOOM = 1;
 const MAX_ZOOM = 5;
 const DEFAULT_ZOOM = 1.5;
+const WHEEL_ZOOM_SPEED = 0.01;
+const KEYBOARD_ZOOM_STEP = 1.25;
+const KEYBOARD_PAN_STEP = 40;
+const DOUBLE_TAP_DELAY = 300;
+const DOUBLE_TAP_DISTANCE = 30;
+// The share of the velocity kept every 16ms once a drag is released
+const MOMENTUM_FRICTION = 0.92;
+const MIN_MOMENTUM_VELOCITY = 0.02;
 
 export class DragZoomWrapper extends HTMLElement {
   #controller = new AbortController();
@@ -24,17 +32,51 @@ export class DragZoomWrapper extends HTMLElement {
   #initialized = false;
   /** @type {number | null} */
   #animationFrame = null;
+  /** @type {number | null} */
+  #pointerId = null;
+  /** @type {{ point: Point, time: number } | null} */
+  #lastMove = null;
+  /**
+   * The velocity of the drag, in pixels per millisecond
+   * @type {Point}
+   */
+  #velocity = { x: 0, y: 0 };
+  /** @type {number | null} */
+  #momentumFrame = null;
+  /** @type {{ point: Point, time: number } | null} */
+  #lastTap = null;
+  /** @type {boolean} */
+  #movedSinceTouchStart = false;
+  /** @type {number | undefined} */
+  #closeTimeout;
 
   get #image() {
     return this.querySelector('img');
   }
 
+  /**
+   * The scale of the image when it isn't zoomed in.
+   * @returns {number}
+   */
+  get #baseScale() {
+    const defaultScale = isMobileBreakpoint() ? DEFAULT_ZOOM : MIN_ZOOM;
+
+    return clamp(defaultScale, this.#getMinZoom() ?? MIN_ZOOM, MAX_ZOOM);
+  }
+
+  /**
+   * Whether the image is zoomed in past its base scale.
+   * @returns {boolean}
+   */
+  get isZoomed() {
+    return this.#scale > this.#baseScale + 0.01;
+  }
+
   connectedCallback() {
     if (!this.#image) return;
 
+    this.#scale = isMobileBreakpoint() ? DEFAULT_ZOOM : MIN_ZOOM;
     this.#initResizeListener();
-    if (!isMobileBreakpoint()) return;
-
     this.#initEventListeners();
     this.#updateTransform();
   }
@@ -52,19 +94,30 @@ export class DragZoomWrapper extends HTMLElement {
     this.addEventListener('touchstart', this.#handleTouchStart, options);
     this.addEventListener('touchmove', this.#handleTouchMove, options);
     this.addEventListener('touchend', this.#handleTouchEnd, options);
+    this.addEventListener('pointerdown', this.#handlePointerDown, { signal });
+    this.addEventListener('pointermove', this.#handlePointerMove, { signal });
+    this.addEventListener('pointerup', this.#handlePointerUp, { signal });
+    this.addEventListener('pointercancel', this.#handlePointerUp, { signal });
+    this.addEventListener('wheel', this.#handleWheel, options);
+    this.addEventListener('click', this.#handleClick, { signal });
+    this.addEventListener('dblclick', this.#handleDoubleClick, { signal });
+    this.addEventListener('keydown', this.#handleKeyDown, { signal });
+    this.addEventListener('dragstart', preventDefault, { signal });
     this.#image?.addEventListener('load', this.#updateTransform, { signal });
+
+    // Every image starts from its base scale when the zoom dialog opens again
+    this.closest('dialog')?.addEventListener('close', () => this.reset(), { signal });
   }
 
   disconnectedCallback() {
     this.#controller.abort();
     this.#resizeObserver.disconnect();
     this.#cancelAnimationFrame();
+    this.#stopMomentum();
+    clearTimeout(this.#closeTimeout);
   }
 
   #handleResize = () => {
-    if (!this.#initialized && isMobileBreakpoint()) {
-      this.#initEventListeners();
-    }
     if (this.#initialized) {
       this.#requestUpdateTransform();
     }
@@ -72,21 +125,61 @@ export class DragZoomWrapper extends HTMLElement {
 
   #resizeObserver = new ResizeObserver(this.#handleResize);
 
+  /**
+   * Zooms the image to a scale, keeping a point of the viewport in place.
+   * @param {number} scale - The new scale, which is kept within the zoom limits.
+   * @param {Point} [point] - The point to zoom at, in client coordinates. Defaults to the center.
+   */
+  zoomTo(scale, point) {
+    this.#stopMomentum();
+
+    const oldScale = this.#scale;
+    const newScale = clamp(scale, this.#getMinZoom() ?? MIN_ZOOM, MAX_ZOOM);
+    const rect = this.getBoundingClientRect();
+    const distanceFromCenter = point
+      ? { x: point.x - (rect.left + rect.width / 2), y: point.y - (rect.top + rect.height / 2) }
+      : { x: 0, y: 0 };
+
+    this.#scale = newScale;
+
+    // Move the image so the point stays under the cursor
+    this.#translate.x -= distanceFromCenter.x * (1 / oldScale - 1 / newScale);
+    this.#translate.y -= distanceFromCenter.y * (1 / oldScale - 1 / newScale);
+
+    this.#requestUpdateTransform();
+  }
+
+  /**
+   * Zooms the image back to its base scale, centered.
+   */
+  reset() {
+    this.#stopMomentum();
+    this.#scale = this.#baseScale;
+    this.#translate = { x: 0, y: 0 };
+    this.#requestUpdateTransform();
+  }
+
   /**
    * @param {TouchEvent} event
    */
   #handleTouchStart = (event) => {
+    // Touch screens scroll through the desktop zoom dialog
+    if (!isMobileBreakpoint()) return;
+
     preventDefault(event);
+    this.#stopMomentum();
 
     if (event.touches.length === 2) {
       const [point1, point2] = Array.from(event.touches).map(touchToPoint);
       if (!point1 || !point2) return;
       this.#startZoomGesture(point1, point2);
+      this.#movedSinceTouchStart = true;
     } else if (event.touches.length === 1) {
       const point = touchToPoint(event.touches[0]);
       if (!point) return;
 
       this.#startDragGesture(point);
+      this.#movedSinceTouchStart = false;
     }
   };
 
@@ -108,6 +201,8 @@ export class DragZoomWrapper extends HTMLElement {
   #startDragGesture(point) {
     this.#startPosition = { x: point.x, y: point.y };
     this.#startTranslate = { x: this.#translate.x, y: this.#translate.y };
+    this.#lastMove = { point, time: performance.now() };
+    this.#velocity = { x: 0, y: 0 };
     this.#isDragging = true;
   }
 
@@ -115,6 +210,8 @@ export class DragZoomWrapper extends HTMLElement {
    * @param {TouchEvent} event
    */
   #handleTouchMove = (event) => {
+    if (!isMobileBreakpoint()) return;
+
     preventDefault(event);
 
     const isZooming = event.touches.length === 2;
@@ -123,7 +220,11 @@ export class DragZoomWrapper extends HTMLElement {
     if (isZooming) {
       this.#processZoomGesture(event);
     } else if (isDragging) {
-      this.#processDragGesture(event);
+      const point = touchToPoint(event.touches[0]);
+      if (!point) return;
+
+      if (getDistance(point, this.#startPosition) > DOUBLE_TAP_DISTANCE) this.#movedSinceTouchStart = true;
+      this.#processDragGesture(point);
     }
   };
 
@@ -167,12 +268,22 @@ export class DragZoomWrapper extends HTMLElement {
   }
 
   /**
-   * Process drag gesture from touch event
-   * @param {TouchEvent} event
+   * Process drag gesture to a point
+   * @param {Point} point
    */
-  #processDragGesture(event) {
-    const point = touchToPoint(event.touches[0]);
-    if (!point) return;
+  #processDragGesture(point) {
+    const time = performance.now();
+
+    // Track the velocity of the last moves, for the momentum once the drag is released
+    if (this.#lastMove) {
+      const elapsed = Math.max(time - this.#lastMove.time, 1);
+
+      this.#velocity = {
+        x: 0.8 * ((point.x - this.#lastMove.point.x) / elapsed) + 0.2 * this.#velocity.x,
+        y: 0.8 * ((point.y - this.#lastMove.point.y) / elapsed) + 0.2 * this.#velocity.y,
+      };
+    }
+    this.#lastMove = { point, time };
 
     // Calculate new translation
     this.#translate = {
@@ -187,12 +298,223 @@ export class DragZoomWrapper extends HTMLElement {
    * @param {TouchEvent} event
    */
   #handleTouchEnd = (event) => {
+    if (!isMobileBreakpoint()) return;
+
     if (event.touches.length === 0) {
+      const wasDragging = this.#isDragging;
+
       this.#isDragging = false;
       this.#requestUpdateTransform();
+
+      if (!this.#movedSinceTouchStart) {
+        this.#handleTap(touchToPoint(event.changedTouches[0]));
+      } else if (wasDragging) {
+        this.#startMomentum();
+      }
+    }
+  };
+
+  /**
+   * Toggles the zoom on a double tap.
+   * @param {Point | undefined} point
+   */
+  #handleTap(point) {
+    if (!point) return;
+
+    const time = performance.now();
+    const lastTap = this.#lastTap;
+
+    if (lastTap && time - lastTap.time < DOUBLE_TAP_DELAY && getDistance(point, lastTap.point) < DOUBLE_TAP_DISTANCE) {
+      this.#lastTap = null;
+      this.#toggleZoom(point);
+    } else {
+      this.#lastTap = { point, time };
+    }
+  }
+
+  /**
+   * Pans the zoomed image with a mouse or a pen.
+   * @param {PointerEvent} event
+   */
+  #handlePointerDown = (event) => {
+    if (event.pointerType === 'touch' || event.button !== 0 || !this.isZoomed) return;
+
+    preventDefault(event);
+    this.#stopMomentum();
+    this.#pointerId = event.pointerId;
+    this.setPointerCapture(event.pointerId);
+    this.#startDragGesture(pointerToPoint(event));
+    this.toggleAttribute('data-dragging', true);
+  };
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerMove = (event) => {
+    if (event.pointerId !== this.#pointerId || !this.#isDragging) return;
+
+    this.#processDragGesture(pointerToPoint(event));
+  };
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerUp = (event) => {
+    if (event.pointerId !== this.#pointerId) return;
+
+    if (this.hasPointerCapture(event.pointerId)) this.releasePointerCapture(event.pointerId);
+    this.#pointerId = null;
+    this.#isDragging = false;
+    this.toggleAttribute('data-dragging', false);
+
+    if (event.type === 'pointerup') this.#startMomentum();
+  };
+
+  /**
+   * Zooms with ctrl + wheel, which is also how browsers report trackpad pinches, and pans the zoomed image with the wheel.
+   * @param {WheelEvent} event
+   */
+  #handleWheel = (event) => {
+    const lineHeight = event.deltaMode === WheelEvent.DOM_DELTA_LINE ? 16 : 1;
+
+    if (event.ctrlKey || event.metaKey) {
+      preventDefault(event);
+      this.zoomTo(this.#scale * Math.exp(-event.deltaY * lineHeight * WHEEL_ZOOM_SPEED), pointerToPoint(event));
+      return;
+    }
+
+    if (!this.isZoomed) return;
+
+    const { x, y } = this.#translate;
+
+    this.#stopMomentum();
+    this.#translate.x -= (event.deltaX * lineHeight) / this.#scale;
+    this.#translate.y -= (event.deltaY * lineHeight) / this.#scale;
+    this.#constrainTranslation();
+
+    // Past the edges of the image, the wheel scrolls the zoom dialog again
+    if (this.#translate.x !== x || this.#translate.y !== y) {
+      preventDefault(event);
+      this.#requestUpdateTransform();
+    }
+  };
+
+  /**
+   * Closes the zoom dialog on a click, unless the image is zoomed in or the click is part of a double click.
+   * @param {MouseEvent} event
+   */
+  #handleClick = (event) => {
+    clearTimeout(this.#closeTimeout);
+
+    if (this.isZoomed || event.detail > 1) return;
+
+    const zoomDialog = /** @type {import('./zoom-dialog').ZoomDialog | null} */ (this.closest('zoom-dialog'));
+
+    // Wait for a second click, which zooms in instead
+    this.#closeTimeout = setTimeout(() => zoomDialog?.close(), DOUBLE_TAP_DELAY);
+  };
+
+  /**
+   * @param {MouseEvent} event
+   */
+  #handleDoubleClick = (event) => {
+    preventDefault(event);
+    this.#toggleZoom(pointerToPoint(event));
+  };
+
+  /**
+   * Zooms with + and -, resets with 0, and pans the zoomed image with the arrow keys.
+   * @param {KeyboardEvent} event
+   */
+  #handleKeyDown = (event) => {
+    if (event.target !== this || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    switch (event.key) {
+      case '+':
+      case '=':
+        this.zoomTo(this.#scale * KEYBOARD_ZOOM_STEP);
+        break;
+      case '-':
+        this.zoomTo(this.#scale / KEYBOARD_ZOOM_STEP);
+        break;
+      case '0':
+        this.reset();
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        // The arrow keys keep scrolling the zoom dialog until the image is zoomed in
+        if (!this.isZoomed) return;
+
+        const horizontal = event.key === 'ArrowLeft' ? 1 : event.key === 'ArrowRight' ? -1 : 0;
+        const vertical = event.key === 'ArrowUp' ? 1 : event.key === 'ArrowDown' ? -1 : 0;
+
+        this.#stopMomentum();
+        this.#translate.x += (horizontal * KEYBOARD_PAN_STEP) / this.#scale;
+        this.#translate.y += (vertical * KEYBOARD_PAN_STEP) / this.#scale;
+        this.#requestUpdateTransform();
+        break;
+      }
+      default:
+        return;
     }
+
+    preventDefault(event);
   };
 
+  /**
+   * Zooms in at a point, or back to the base scale when already zoomed in.
+   * @param {Point} point
+   */
+  #toggleZoom(point) {
+    if (this.isZoomed) {
+      this.reset();
+    } else {
+      this.zoomTo(this.#baseScale * 2, point);
+    }
+  }
+
+  /**
+   * Keeps the image moving after a drag is released, slowing down until it stops or reaches an edge.
+   */
+  #startMomentum() {
+    this.#stopMomentum();
+
+    // Releasing a drag after the pointer stopped moving doesn't throw the image
+    if (prefersReducedMotion() || !this.#lastMove || performance.now() - this.#lastMove.time > 100) return;
+
+    let lastTime = performance.now();
+
+    /** @param {number} time */
+    const step = (time) => {
+      const elapsed = time - lastTime;
+      const { x, y } = this.#translate;
+
+      lastTime = time;
+      this.#translate.x += (this.#velocity.x * elapsed) / this.#scale;
+      this.#translate.y += (this.#velocity.y * elapsed) / this.#scale;
+      this.#updateTransform();
+
+      const friction = Math.pow(MOMENTUM_FRICTION, elapsed / 16);
+      this.#velocity = { x: this.#velocity.x * friction, y: this.#velocity.y * friction };
+
+      const moving = Math.hypot(this.#velocity.x, this.#velocity.y) > MIN_MOMENTUM_VELOCITY;
+      const stopped = this.#translate.x === x && this.#translate.y === y;
+
+      this.#momentumFrame = moving && !stopped ? requestAnimationFrame(step) : null;
+    };
+
+    this.#momentumFrame = requestAnimationFrame(step);
+  }
+
+  #stopMomentum() {
+    if (this.#momentumFrame) {
+      cancelAnimationFrame(this.#momentumFrame);
+      this.#momentumFrame = null;
+    }
+  }
+
   /**
    * Get the minimum zoom for the image
    * @returns {number | null}
@@ -298,11 +620,13 @@ export class DragZoomWrapper extends HTMLElement {
     this.style.setProperty('--drag-zoom-scale', this.#scale.toString());
     this.style.setProperty('--drag-zoom-translate-x', `${this.#translate.x}px`);
     this.style.setProperty('--drag-zoom-translate-y', `${this.#translate.y}px`);
+    this.toggleAttribute('data-zoomed', this.isZoomed);
   };
 
   destroy() {
     this.#controller.abort();
     this.#cancelAnimationFrame();
+    this.#stopMomentum();
   }
 }
 
@@ -326,6 +650,15 @@ function touchToPoint(touch) {
   return { x: touch.clientX, y: touch.clientY };
 }
 
+/**
+ * Convert a mouse, pointer or wheel event to a Point object
+ * @param {MouseEvent} event
+ * @returns {Point}
+ */
+function pointerToPoint(event) {
+  return { x: event.clientX, y: event.clientY };
+}
+
 /**
  * Calculate the distance between two points
  * @param {Point} point1 - First point
@@ -12,8 +12,20 @@ export class ThemeEvents {
   static variantUpdate = 'variant:update';
   /** @static @constant {string} Event triggered when the cart items or quantities are updated */
   static cartUpdate = 'cart:update';
+  /** @static @constant {string} Event triggered when a selling plan is selected or its pricing changes */
+  static sellingPlanUpdate = 'selling-plan:update';
   /** @static @constant {string} Event triggered when a cart update fails */
   static cartError = 'cart:error';
+  /** @static @constant {string} Event triggered when the cart state changes before the server confirms it */
+  static cartOptimisticUpdate = 'cart:optimistic-update';
+  /** @static @constant {string} Event triggered when a cart line is saved for later, moved back to the cart or removed */
+  static savedForLaterUpdate = 'saved-for-later:update';
+  /** @static @constant {string} Event triggered when a product is added to or removed from the wishlist */
+  static wishlistUpdate = 'wishlist:update';
+  /** @static @constant {string} Event triggered when a product is viewed or the recently viewed products are cleared */
+  static recentlyViewedUpdate = 'recently-viewed:update';
+  /** @static @constant {string} Event triggered when a product is added to or removed from the comparison */
+  static compareUpdate = 'compare:update';
   /** @static @constant {string} Event triggered when a media (video, 3d model) is loaded */
   static mediaStartedPlaying = 'media:started-playing';
   // Event triggered when quantity-selector value is changed
@@ -57,6 +69,9 @@ export class VariantUpdateEvent extends Event {
    * @param {string} resource.id - The id of the variant
    * @param {boolean} resource.available - Whether the variant is available
    * @param {boolean} resource.inventory_management - Whether the variant has inventory management
+   * @param {string} [resource.title] - The title of the variant
+   * @param {number} [resource.price] - The price of the variant, in cents
+   * @param {number | null} [resource.compare_at_price] - The compare at price of the variant, in cents
    * @param {Object} [resource.featured_media] - The featured media of the variant
    * @param {string} [resource.featured_media.id] - The id of the featured media
    * @param {Object} [resource.featured_media.preview_image] - The preview image of the featured media
@@ -83,6 +98,125 @@ export class VariantUpdateEvent extends Event {
   }
 }
 
+/**
+ * @typedef {Object} SellingPlanPrice
+ * @property {string} id - The id of the selling plan
+ * @property {string} price - The formatted price of the plan
+ * @property {string | null} compareAtPrice - The formatted price without the plan discount
+ * @property {string | null} perDeliveryPrice - The formatted price per delivery, for prepaid plans
+ */
+
+/**
+ * Event fired when a selling plan is selected, or when the variant changes and so does the plan pricing
+ * @extends {Event}
+ */
+export class SellingPlanUpdateEvent extends Event {
+  /**
+   * Creates a new SellingPlanUpdateEvent
+   * @param {SellingPlanPrice | null} resource - The pricing of the selected plan, null for a one-time purchase
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The id of the product the plan belongs to
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.sellingPlanUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+      sourceId,
+      data: {
+        productId: data.productId,
+      },
+    };
+  }
+}
+
+/**
+ * Event fired when the saved for later list changes
+ * @extends {Event}
+ */
+export class SavedForLaterUpdateEvent extends Event {
+  /**
+   * Creates a new SavedForLaterUpdateEvent
+   * @param {import('./saved-for-later-store').SavedItem[]} resource - The saved items, most recently saved first
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {'save' | 'restore' | 'remove' | 'sync'} data.action - What changed: a line was saved, moved back to the cart,
+   * removed, or the list was loaded from the customer account
+   * @param {import('./saved-for-later-store').SavedItem} [data.item] - The item that was saved, restored or removed
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.savedForLaterUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+      sourceId,
+      data: {
+        ...data,
+      },
+    };
+  }
+}
+
+/**
+ * Event fired when the wishlist changes, in this tab or another one
+ * @extends {Event}
+ */
+export class WishlistUpdateEvent extends Event {
+  /**
+   * Creates a new WishlistUpdateEvent
+   * @param {import('./wishlist').WishlistItem[]} resource - The wishlist products, most recently added first
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {'add' | 'remove' | 'sync'} data.action - What changed: a product was added, removed, or the list was
+   * changed in another tab
+   * @param {string} [data.productId] - The id of the product that was added or removed
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.wishlistUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+      sourceId,
+      data: {
+        ...data,
+      },
+    };
+  }
+}
+
+/**
+ * Event fired when the recently viewed products change
+ * @extends {Event}
+ */
+export class RecentlyViewedUpdateEvent extends Event {
+  /**
+   * Creates a new RecentlyViewedUpdateEvent
+   * @param {import('./recently-viewed-products').RecentlyViewedProduct[]} resource - The viewed products, most recently
+   * viewed first
+   */
+  constructor(resource) {
+    super(ThemeEvents.recentlyViewedUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+    };
+  }
+}
+
+/**
+ * Event fired when the products selected for comparison change
+ * @extends {Event}
+ */
+export class CompareUpdateEvent extends Event {
+  /**
+   * Creates a new CompareUpdateEvent
+   * @param {import('./product-compare').CompareItem[]} resource - The products selected for comparison
+   */
+  constructor(resource) {
+    super(ThemeEvents.compareUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+    };
+  }
+}
+
 /**
  * Event class for cart additions
  * @extends {Event}
@@ -90,7 +224,7 @@ export class VariantUpdateEvent extends Event {
 export class CartAddEvent extends Event {
   /**
    * Creates a new CartAddEvent
-   * @param {Object} [resource] - The new cart object
+   * @param {Partial<import('./cart-store').Cart>} [resource] - The new cart object
    * @param {string} [sourceId] - The id of the element the action was triggered from
    * @param {Object} [data] - Additional event data
    * @param {boolean} [data.didError] - Whether the cart operation failed
@@ -98,6 +232,7 @@ export class CartAddEvent extends Event {
    * @param {string} [data.productId] - The id of the product card that was updated
    * @param {number} [data.itemCount] - The number of items in the cart
    * @param {string} [data.variantId] - The id of the product variant that was added
+   * @param {{ variantId: string, productId: string, quantity: number }[]} [data.items] - The lines added together, e.g. by a bundle form
    * @param {Record<string, string>} [data.sections] - The sections affected by the cart operation
    */
   constructor(resource, sourceId, data) {
@@ -121,7 +256,7 @@ export class CartAddEvent extends Event {
 export class CartUpdateEvent extends Event {
   /**
    * Creates a new CartUpdateEvent
-   * @param {Object} resource - The new cart object
+   * @param {Partial<import('./cart-store').Cart>} resource - The new cart object
    * @param {string} sourceId - The id of the element the action was triggered from
    * @param {Object} [data] - Additional event data
    * @param {boolean} [data.didError] - Whether the cart operation failed
@@ -152,18 +287,46 @@ export class CartErrorEvent extends Event {
    * Creates a new CartErrorEvent
    * @param {string} sourceId - The id of the element the action was triggered from
    * @param {string} message - A message from the server response
+   * @param {Object} [data] - Additional event data
+   * @param {boolean} [data.replay] - Whether the change was made offline and failed once the connection came back
    */
-  constructor(sourceId, message) {
+  constructor(sourceId, message, data) {
     super(ThemeEvents.cartError, { bubbles: true });
     this.detail = {
       sourceId,
       data: {
+        ...data,
         message,
       },
     };
   }
 }
 
+/**
+ * Event class for optimistic cart updates
+ * @extends {Event}
+ */
+export class CartOptimisticUpdateEvent extends Event {
+  /**
+   * Creates a new CartOptimisticUpdateEvent
+   * @param {import('./cart-store').Cart} resource - The cart object including all pending changes
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} [data] - Additional event data
+   * @param {boolean} [data.rollback] - Whether a rejected change was rolled back
+   * @param {number} [data.queued] - The number of changes waiting for the connection to come back
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.cartOptimisticUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+      sourceId,
+      data: {
+        ...data,
+      },
+    };
+  }
+}
+
 /**
  * Event class for quantity-selector updates
  * @extends {Event}
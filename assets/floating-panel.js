@@ -1,15 +1,55 @@
-import { debounce, requestIdleCallback, viewTransition } from '@theme/utilities';
+import { clamp, debounce, isMobileBreakpoint, requestIdleCallback, viewTransition } from '@theme/utilities';
 
 const OFFSET = 40;
+// The space between a popover panel and its anchor, or the edges of the viewport
+const ANCHOR_OFFSET = 12;
 
 /**
  * A custom element that manages a floating panel.
+ * Panels that are popovers are positioned next to their anchor instead, and on small screens their
+ * position is left to the CSS, e.g. to show them as a bottom sheet.
  */
 export class FloatingPanelComponent extends HTMLElement {
+  /** @type {HTMLElement | null} */
+  #anchor = null;
+
+  /**
+   * The element that the popover panel is positioned next to, e.g. the button that opens it.
+   * @returns {HTMLElement | null}
+   */
+  get anchor() {
+    return this.#anchor;
+  }
+
+  set anchor(element) {
+    this.#anchor = element;
+
+    if (element) {
+      window.addEventListener('scroll', this.#updatePosition, { capture: true, passive: true });
+    } else {
+      window.removeEventListener('scroll', this.#updatePosition, { capture: true });
+    }
+
+    this.#updatePosition();
+  }
+
+  /**
+   * Updates the position of the panel, e.g. when its anchor moves.
+   */
+  updatePosition() {
+    this.#updatePosition();
+  }
+
   #updatePosition = async () => {
     // Wait for any view transitions to finish
     if (viewTransition.current) await viewTransition.current;
 
+    if (this.popover) {
+      this.#positionAtAnchor();
+      this.#mutationObserver.takeRecords();
+      return;
+    }
+
     const rect = this.getBoundingClientRect();
     const viewportWidth = window.innerWidth;
 
@@ -28,6 +68,36 @@ export class FloatingPanelComponent extends HTMLElement {
     this.#mutationObserver.takeRecords();
   };
 
+  /**
+   * Places the popover panel below its anchor, or above it when there's more room there,
+   * without overflowing the viewport.
+   */
+  #positionAtAnchor() {
+    if (!this.#anchor || !this.matches(':popover-open') || isMobileBreakpoint()) {
+      this.style.removeProperty('top');
+      this.style.removeProperty('left');
+      return;
+    }
+
+    const anchorRect = this.#anchor.getBoundingClientRect();
+    const { width, height } = this.getBoundingClientRect();
+    const viewportWidth = document.documentElement.clientWidth;
+    const spaceAbove = anchorRect.top - ANCHOR_OFFSET;
+    const spaceBelow = window.innerHeight - anchorRect.bottom - ANCHOR_OFFSET;
+    const top =
+      spaceBelow >= height || spaceBelow >= spaceAbove
+        ? anchorRect.bottom + ANCHOR_OFFSET
+        : anchorRect.top - ANCHOR_OFFSET - height;
+    const left = clamp(
+      anchorRect.left + anchorRect.width / 2 - width / 2,
+      ANCHOR_OFFSET,
+      viewportWidth - width - ANCHOR_OFFSET
+    );
+
+    this.style.top = `${Math.max(top, ANCHOR_OFFSET)}px`;
+    this.style.left = `${left}px`;
+  }
+
   #mutationObserver = new MutationObserver(this.#updatePosition);
 
   #resizeListener = debounce(() => {
@@ -38,6 +108,8 @@ export class FloatingPanelComponent extends HTMLElement {
       parent.removeAttribute('open');
       this.#updatePosition();
     }
+
+    if (this.#anchor) this.#updatePosition();
   }, 100);
 
   connectedCallback() {
@@ -51,6 +123,7 @@ export class FloatingPanelComponent extends HTMLElement {
 
   disconnectedCallback() {
     window.removeEventListener('resize', this.#resizeListener);
+    window.removeEventListener('scroll', this.#updatePosition, { capture: true });
     this.#mutationObserver.disconnect();
   }
 }
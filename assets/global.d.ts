@@ -21,12 +21,17 @@ declare global {
       general: string[];
       product: string[];
     };
+    recently_viewed: {
+      max_products: number;
+      ttl_days: number;
+    };
     routes: {
       cart_add_url: string;
       cart_change_url: string;
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
+      saved_for_later_url: string | null;
       search_url: string;
     };
     utilities: {
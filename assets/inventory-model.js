@@ -0,0 +1,94 @@
+/**
+ * @typedef {Object} VariantInventory
+ * @property {number} quantity - The inventory quantity of the variant.
+ * @property {'deny' | 'continue'} policy - Whether the variant can be sold when out of stock.
+ * @property {boolean} managed - Whether Shopify tracks the inventory of the variant.
+ * @property {boolean} available - Whether the variant can be added to the cart.
+ * @property {string | null} incomingDate - The formatted date of the next incoming stock, if any.
+ * @property {string} lowStockMessage - The translated number of items left, pluralised by the server.
+ */
+
+/**
+ * @typedef {'in_stock' | 'low' | 'out_of_stock' | 'preorder'} InventoryStatus
+ */
+
+/**
+ * The inventory of the variants of a product, rendered as JSON by the `inventory-data` snippet.
+ */
+export class InventoryModel {
+  /** @type {Record<string, VariantInventory>} */
+  #variants;
+
+  /**
+   * @param {Record<string, VariantInventory>} variants - The inventory of each variant, by variant id.
+   */
+  constructor(variants) {
+    this.#variants = variants;
+  }
+
+  /**
+   * Reads the inventory rendered inside an element.
+   * @param {Element | Document} root - The element containing the inventory data.
+   * @returns {InventoryModel | null} The inventory, or null if it isn't rendered.
+   */
+  static fromElement(root) {
+    const script = root.querySelector('script[data-inventory-model]');
+
+    if (!script?.textContent) return null;
+
+    try {
+      return new InventoryModel(JSON.parse(script.textContent));
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the inventory of a variant.
+   * @param {string | number} variantId - The id of the variant.
+   * @returns {VariantInventory | null}
+   */
+  getVariant(variantId) {
+    return this.#variants[String(variantId)] ?? null;
+  }
+
+  /**
+   * Gets the stock status of a variant.
+   * @param {string | number} variantId - The id of the variant.
+   * @param {number} [threshold] - The quantity at or below which the stock is low.
+   * @returns {InventoryStatus}
+   */
+  getStatus(variantId, threshold = 0) {
+    const variant = this.getVariant(variantId);
+
+    if (!variant || !variant.available) return 'out_of_stock';
+    if (!variant.managed) return 'in_stock';
+    if (variant.quantity <= 0) return variant.policy === 'continue' ? 'preorder' : 'out_of_stock';
+    if (variant.quantity <= threshold) return 'low';
+
+    return 'in_stock';
+  }
+
+  /**
+   * Checks if a variant is sold before it's in stock.
+   * @param {string | number} variantId - The id of the variant.
+   * @returns {boolean}
+   */
+  isPreorder(variantId) {
+    return this.getStatus(variantId) === 'preorder';
+  }
+
+  /**
+   * Gets the most a shopper can add of a variant, when its stock is limited.
+   * @param {string | number} variantId - The id of the variant.
+   * @returns {number | null} The available quantity, or null when it isn't limited.
+   */
+  getMaxQuantity(variantId) {
+    const variant = this.getVariant(variantId);
+
+    if (!variant?.managed || variant.policy === 'continue') return null;
+
+    return Math.max(variant.quantity, 0);
+  }
+}
@@ -34,6 +34,7 @@ export class MediaGallery extends Component {
 
   /**
    * Handles a variant update event by replacing the current media gallery with a new one.
+   * The new gallery keeps showing all media if the shopper asked for it, and the current media if it still has it.
    *
    * @param {VariantUpdateEvent} event - The variant update event.
    */
@@ -43,17 +44,54 @@ export class MediaGallery extends Component {
     if (!source) return;
     const newMediaGallery = source.querySelector('media-gallery');
 
-    if (!newMediaGallery) return;
+    if (!(newMediaGallery instanceof HTMLElement)) return;
+
+    const currentMediaId = this.#currentSlide?.getAttribute('slide-id');
+
+    showAllMedia(newMediaGallery, this.hasAttribute('data-show-all'));
+
+    const newSlideshow = newMediaGallery.querySelector('slideshow-component[ref="slideshow"]');
+
+    if (newSlideshow instanceof HTMLElement && currentMediaId) {
+      const newSlides = Array.from(newSlideshow.querySelectorAll('slideshow-slide:not([hidden])'));
+      const index = newSlides.findIndex((slide) => slide.getAttribute('slide-id') === currentMediaId);
+
+      if (index !== -1) newSlideshow.dataset.initialSlide = String(index);
+    }
 
     this.replaceWith(newMediaGallery);
   };
 
+  /**
+   * Shows or hides the media associated with the option values that aren't selected.
+   */
+  toggleAllMedia() {
+    const currentSlide = this.#currentSlide;
+
+    showAllMedia(this, !this.hasAttribute('data-show-all'));
+
+    // The slides were shown or hidden, keep the current one in view
+    const index = currentSlide ? (this.slideshow?.slides?.indexOf(currentSlide) ?? -1) : -1;
+    this.slideshow?.select(Math.max(index, 0), undefined, { animate: false });
+  }
+
+  /**
+   * The slide of the slideshow that is in view.
+   * @returns {HTMLElement | undefined}
+   */
+  get #currentSlide() {
+    const { slideshow } = this;
+
+    return slideshow?.slides?.[slideshow.current];
+  }
+
   /**
    * Handles the 'zoom-media:selected' event.
    * @param {ZoomMediaSelectedEvent} event - The zoom-media:selected event.
    */
   #handleZoomMediaSelected = async (event) => {
-    this.slideshow?.select(event.detail.index, undefined, { animate: false });
+    // The indexes of the zoom dialog count the hidden media too, like the slideshow controls
+    this.slideshow?.selectControl(event.detail.index, undefined, { animate: false });
   };
 
   /**
@@ -79,6 +117,21 @@ export class MediaGallery extends Component {
   }
 }
 
+/**
+ * Shows or hides the media of a gallery that aren't associated with the selected option values.
+ * @param {HTMLElement} gallery - The media gallery.
+ * @param {boolean} showAll - Whether to show all media.
+ */
+function showAllMedia(gallery, showAll) {
+  gallery.toggleAttribute('data-show-all', showAll);
+
+  for (const element of gallery.querySelectorAll('[data-media-filtered]')) {
+    element.toggleAttribute('hidden', !showAll);
+  }
+
+  gallery.querySelector('[ref="showAllButton"]')?.setAttribute('aria-pressed', String(showAll));
+}
+
 if (!customElements.get('media-gallery')) {
   customElements.define('media-gallery', MediaGallery);
 }
@@ -0,0 +1,194 @@
+import { clamp, isDesktopBreakpoint, preloadImage } from '@theme/utilities';
+
+const MIN_ZOOM = 1.5;
+const MAX_ZOOM = 4;
+const DEFAULT_ZOOM = 2;
+const ZOOM_STEP = 0.5;
+// The distance the lens moves with the arrow keys, relative to the size of the image
+const KEYBOARD_STEP = 0.05;
+
+/**
+ * A custom element that magnifies its image under a lens that follows the pointer, on large screens.
+ * The lens is also controlled with the keyboard: + and - zoom, the arrow keys move it and Escape closes it.
+ * Small screens keep opening the zoom dialog instead.
+ */
+export class MediaMagnifier extends HTMLElement {
+  #controller = new AbortController();
+
+  #zoom = DEFAULT_ZOOM;
+
+  /** The center of the lens, relative to the size of the image */
+  #position = { x: 0.5, y: 0.5 };
+
+  /** @type {HTMLElement | null} */
+  #lens = null;
+
+  /** @type {string | null} */
+  #loadedSource = null;
+
+  get #image() {
+    return this.querySelector('img.product-media__image');
+  }
+
+  connectedCallback() {
+    const { signal } = this.#controller;
+
+    this.addEventListener('pointerenter', this.#handlePointerMove, { signal });
+    this.addEventListener('pointermove', this.#handlePointerMove, { signal });
+    this.addEventListener('pointerleave', this.#hide, { signal });
+    this.addEventListener('keydown', this.#handleKeyDown, { signal });
+    this.addEventListener('focusout', this.#hide, { signal });
+  }
+
+  disconnectedCallback() {
+    this.#controller.abort();
+  }
+
+  /**
+   * Moves the lens under the pointer.
+   * @param {PointerEvent} event - The pointer event.
+   */
+  #handlePointerMove = (event) => {
+    const image = this.#image;
+
+    // Touch screens pinch to zoom in the zoom dialog instead
+    if (event.pointerType === 'touch' || !image || !isDesktopBreakpoint()) return;
+
+    const rect = image.getBoundingClientRect();
+
+    this.#position = {
+      x: clamp((event.clientX - rect.left) / rect.width, 0, 1),
+      y: clamp((event.clientY - rect.top) / rect.height, 0, 1),
+    };
+
+    this.#show();
+  };
+
+  /**
+   * Zooms and moves the lens with the keyboard.
+   * @param {KeyboardEvent} event - The keyboard event.
+   */
+  #handleKeyDown = (event) => {
+    if (!isDesktopBreakpoint() || event.target !== this) return;
+
+    const active = this.hasAttribute('data-active');
+    const { x, y } = this.#position;
+
+    switch (event.key) {
+      case '+':
+      case '=':
+        if (active) this.#zoom = Math.min(this.#zoom + ZOOM_STEP, MAX_ZOOM);
+        this.#show();
+        break;
+      case '-':
+        if (!active) return;
+        if (this.#zoom <= MIN_ZOOM) {
+          this.#hide();
+        } else {
+          this.#zoom = Math.max(this.#zoom - ZOOM_STEP, MIN_ZOOM);
+          this.#show();
+        }
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        if (!active) return;
+
+        const horizontal = event.key === 'ArrowLeft' ? -1 : event.key === 'ArrowRight' ? 1 : 0;
+        const vertical = event.key === 'ArrowUp' ? -1 : event.key === 'ArrowDown' ? 1 : 0;
+
+        this.#position = {
+          x: clamp(x + horizontal * KEYBOARD_STEP, 0, 1),
+          y: clamp(y + vertical * KEYBOARD_STEP, 0, 1),
+        };
+        this.#show();
+        break;
+      }
+      case 'Escape':
+        if (!active) return;
+        this.#hide();
+        break;
+      default:
+        return;
+    }
+
+    // Keeps the slideshow from changing slides while the lens is moved
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  /**
+   * Shows the lens at its position.
+   */
+  #show() {
+    const image = this.#image;
+
+    if (!(image instanceof HTMLImageElement)) return;
+
+    const lens = this.#getLens();
+
+    this.#loadHighResolutionImage(image, lens);
+    this.setAttribute('data-active', '');
+
+    const bounds = this.getBoundingClientRect();
+    const rect = image.getBoundingClientRect();
+    const lensWidth = lens.offsetWidth;
+    const lensHeight = lens.offsetHeight;
+    const x = this.#position.x * rect.width;
+    const y = this.#position.y * rect.height;
+
+    lens.style.translate = `${rect.left - bounds.left + x - lensWidth / 2}px ${rect.top - bounds.top + y - lensHeight / 2}px`;
+    lens.style.backgroundSize = `${rect.width * this.#zoom}px ${rect.height * this.#zoom}px`;
+    lens.style.backgroundPosition = `${lensWidth / 2 - x * this.#zoom}px ${lensHeight / 2 - y * this.#zoom}px`;
+  }
+
+  #hide = () => {
+    this.removeAttribute('data-active');
+  };
+
+  /**
+   * Gets the lens, which is created the first time it's shown.
+   * @returns {HTMLElement}
+   */
+  #getLens() {
+    if (!this.#lens) {
+      this.#lens = document.createElement('div');
+      this.#lens.className = 'media-magnifier__lens';
+      this.#lens.setAttribute('aria-hidden', 'true');
+      this.append(this.#lens);
+    }
+
+    return this.#lens;
+  }
+
+  /**
+   * Magnifies the image that is displayed until the high-resolution image is loaded.
+   * @param {HTMLImageElement} image - The image.
+   * @param {HTMLElement} lens - The lens.
+   */
+  #loadHighResolutionImage(image, lens) {
+    const highResolutionUrl = image.getAttribute('data_max_resolution');
+
+    if (!this.#loadedSource) {
+      this.#loadedSource = image.currentSrc || image.src;
+      lens.style.backgroundImage = `url("${this.#loadedSource}")`;
+    }
+
+    if (!highResolutionUrl || this.#loadedSource === highResolutionUrl) return;
+
+    this.#loadedSource = highResolutionUrl;
+    preloadImage(highResolutionUrl);
+
+    // When the high-resolution image loads, magnify it instead
+    const highResolutionImage = new Image();
+    highResolutionImage.onload = () => {
+      lens.style.backgroundImage = `url("${highResolutionUrl}")`;
+    };
+    highResolutionImage.src = highResolutionUrl;
+  }
+}
+
+if (!customElements.get('media-magnifier')) {
+  customElements.define('media-magnifier', MediaMagnifier);
+}
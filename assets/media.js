@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
 import { ThemeEvents, MediaStartedPlayingEvent } from '@theme/events';
 import { DialogCloseEvent } from '@theme/dialog';
+import { prefersReducedMotion } from '@theme/utilities';
 
 /**
  * A deferred media element
@@ -246,3 +247,280 @@ class ProductModel extends DeferredMedia {
 if (!customElements.get('product-model')) {
   customElements.define('product-model', ProductModel);
 }
+
+// The time it takes the 360° view to turn once when it plays
+const SPIN_DURATION = 3000;
+
+/**
+ * The 360° views that already played, by the URL of their first frame.
+ * Views that are rendered again, like after a variant change or in the zoom dialog, don't play again.
+ * @type {Set<string>}
+ */
+const playedSpins = new Set();
+
+/**
+ * A 360° view of a product, made of a sequence of images that turns by dragging, swiping or with the arrow keys.
+ * The images are loaded once the view comes into the viewport.
+ *
+ * @typedef {Object} SpinRefs
+ * @property {HTMLImageElement} image - The image of the current frame
+ * @property {HTMLScriptElement} frames - The URLs of the frames, as JSON
+ * @property {HTMLElement} progress - The progress of the loading of the frames
+ *
+ * @extends {Component<SpinRefs>}
+ */
+class ProductSpin extends Component {
+  requiredRefs = ['image', 'frames', 'progress'];
+
+  /** @type {boolean} */
+  isPlaying = false;
+
+  #abortController = new AbortController();
+
+  /** @type {string[]} */
+  #urls = [];
+
+  #frame = 0;
+
+  /** @type {Promise<void> | undefined} */
+  #loading;
+
+  /** @type {number | null} */
+  #animationFrame = null;
+
+  /** @type {{ pointerId: number, x: number, frame: number } | null} */
+  #drag = null;
+
+  /** @type {IntersectionObserver | undefined} */
+  #observer;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+
+    document.addEventListener(ThemeEvents.mediaStartedPlaying, this.#handleMediaStartedPlaying, { signal });
+    window.addEventListener(DialogCloseEvent.eventName, () => this.pauseMedia(), { signal });
+    this.addEventListener('pointerdown', this.#handlePointerDown, { signal });
+
+    try {
+      this.#urls = JSON.parse(this.refs.frames.textContent || '[]');
+    } catch (error) {
+      console.error(error);
+    }
+
+    this.#observer = new IntersectionObserver(
+      (entries) => {
+        if (!entries.some((entry) => entry.isIntersecting)) return;
+
+        this.#observer?.disconnect();
+        this.loadContent();
+      },
+      { rootMargin: '100px' }
+    );
+    this.#observer.observe(this);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#abortController.abort();
+    this.#observer?.disconnect();
+    this.pauseMedia();
+  }
+
+  /**
+   * Loads the frames, then plays the view once if it autoplays.
+   * @returns {Promise<void>}
+   */
+  loadContent() {
+    if (this.#loading) return this.#loading;
+
+    const { progress } = this.refs;
+    let loadedCount = 0;
+
+    progress.hidden = false;
+
+    const frames = this.#urls.map(async (url) => {
+      const image = new Image();
+      image.src = url;
+
+      try {
+        await image.decode();
+      } catch {
+        // A missing frame is skipped over, the view still turns
+      }
+
+      loadedCount++;
+
+      const percentage = Math.round((loadedCount / this.#urls.length) * 100);
+      progress.style.setProperty('--spin-progress', `${percentage}%`);
+      progress.setAttribute('aria-valuenow', String(percentage));
+    });
+
+    this.#loading = Promise.all(frames).then(() => {
+      progress.hidden = true;
+      this.setAttribute('data-media-loaded', 'true');
+
+      const [firstFrame] = this.#urls;
+
+      if (this.dataset.autoplay === undefined || !firstFrame || playedSpins.has(firstFrame)) return;
+
+      playedSpins.add(firstFrame);
+      if (!prefersReducedMotion() && this.checkVisibility()) this.playMedia();
+    });
+
+    return this.#loading;
+  }
+
+  /**
+   * Turns the view once, back to the current frame.
+   */
+  playMedia() {
+    if (this.isPlaying || this.#urls.length < 2) return;
+
+    this.dispatchEvent(new MediaStartedPlayingEvent(this));
+    this.isPlaying = true;
+
+    const startFrame = this.#frame;
+    const frameCount = this.#urls.length;
+    const start = performance.now();
+
+    /** @param {number} time */
+    const step = (time) => {
+      const progress = Math.min((time - start) / SPIN_DURATION, 1);
+
+      this.#showFrame(startFrame + Math.round(progress * frameCount));
+
+      if (progress < 1) {
+        this.#animationFrame = requestAnimationFrame(step);
+      } else {
+        this.pauseMedia();
+      }
+    };
+
+    this.#animationFrame = requestAnimationFrame(step);
+  }
+
+  pauseMedia() {
+    if (this.#animationFrame) cancelAnimationFrame(this.#animationFrame);
+
+    this.#animationFrame = null;
+    this.isPlaying = false;
+  }
+
+  /**
+   * Starts turning the view with the pointer.
+   * @param {PointerEvent} event - The pointerdown event.
+   */
+  #handlePointerDown = (event) => {
+    if (event.button !== 0) return;
+
+    // Keeps the browser from dragging the image
+    event.preventDefault();
+
+    this.#interact();
+    this.#drag = { pointerId: event.pointerId, x: event.clientX, frame: this.#frame };
+    this.setPointerCapture(event.pointerId);
+    this.setAttribute('dragging', '');
+
+    const { signal } = this.#abortController;
+    const options = { signal };
+
+    this.addEventListener('pointermove', this.#handlePointerMove, options);
+    this.addEventListener('pointerup', this.#handlePointerUp, options);
+    this.addEventListener('pointercancel', this.#handlePointerUp, options);
+  };
+
+  /**
+   * Turns the view with the arrow keys.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleKeyDown(event) {
+    const lastFrame = this.#urls.length - 1;
+
+    /** @type {Record<string, number>} */
+    const frames = {
+      ArrowLeft: this.#frame - 1,
+      ArrowDown: this.#frame - 1,
+      ArrowRight: this.#frame + 1,
+      ArrowUp: this.#frame + 1,
+      Home: 0,
+      End: lastFrame,
+    };
+    const frame = frames[event.key];
+
+    if (frame === undefined) return;
+
+    event.preventDefault();
+    this.#interact();
+    this.#showFrame(frame);
+  }
+
+  /**
+   * Stops playing and loads the frames when the shopper turns the view.
+   */
+  #interact() {
+    this.pauseMedia();
+    this.loadContent();
+    this.dispatchEvent(new MediaStartedPlayingEvent(this));
+  }
+
+  /**
+   * Dragging across the whole width of the view turns it once.
+   * @param {PointerEvent} event - The pointermove event.
+   */
+  #handlePointerMove = (event) => {
+    if (!this.#drag || event.pointerId !== this.#drag.pointerId) return;
+
+    const pixelsPerFrame = this.clientWidth / Math.max(this.#urls.length, 1);
+
+    if (!pixelsPerFrame) return;
+
+    this.#showFrame(this.#drag.frame - Math.round((event.clientX - this.#drag.x) / pixelsPerFrame));
+  };
+
+  /**
+   * @param {PointerEvent} event - The pointerup or pointercancel event.
+   */
+  #handlePointerUp = (event) => {
+    if (!this.#drag || event.pointerId !== this.#drag.pointerId) return;
+
+    this.#drag = null;
+    this.removeAttribute('dragging');
+    this.removeEventListener('pointermove', this.#handlePointerMove);
+    this.removeEventListener('pointerup', this.#handlePointerUp);
+    this.removeEventListener('pointercancel', this.#handlePointerUp);
+  };
+
+  /**
+   * Pauses the view when other media starts playing.
+   * @param {Event} event - The media started playing event.
+   */
+  #handleMediaStartedPlaying = (event) => {
+    if (event.target !== this) this.pauseMedia();
+  };
+
+  /**
+   * Shows a frame, once the frames are loaded.
+   * @param {number} frame - The index of the frame, which wraps around.
+   */
+  #showFrame(frame) {
+    const frameCount = this.#urls.length;
+
+    if (!frameCount || !this.hasAttribute('data-media-loaded')) return;
+
+    this.#frame = ((frame % frameCount) + frameCount) % frameCount;
+
+    const url = this.#urls[this.#frame];
+
+    if (url) this.refs.image.src = url;
+
+    const degrees = Math.round((this.#frame / frameCount) * 360);
+    this.setAttribute('aria-valuenow', String(degrees));
+    this.setAttribute('aria-valuetext', `${degrees}°`);
+  }
+}
+
+if (!customElements.get('product-spin')) {
+  customElements.define('product-spin', ProductSpin);
+}
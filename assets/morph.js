@@ -53,7 +53,7 @@ const MORPH_OPTIONS = {
       }
 
       // Special case for elements that need to keep their style
-      const elements = ['floating-panel-component'];
+      const elements = ['floating-panel-component', 'cart-threshold-progress'];
 
       for (const element of elements) {
         const tagName = element.toUpperCase();
@@ -77,6 +77,27 @@ const MORPH_OPTIONS = {
   },
 };
 
+/**
+ * The options for the morph of another variant of the same product, which keeps what customers entered in
+ * personalization fields. The re-rendered section has them empty.
+ * @type {Options}
+ */
+export const VARIANT_UPDATE_MORPH_OPTIONS = {
+  ...MORPH_OPTIONS,
+  onBeforeUpdate(oldNode, newNode) {
+    MORPH_OPTIONS.onBeforeUpdate?.(oldNode, newNode);
+
+    if (!isPersonalizationField(oldNode) || !isPersonalizationField(newNode) || oldNode.name !== newNode.name) return;
+
+    if (oldNode instanceof HTMLInputElement && (oldNode.type === 'checkbox' || oldNode.type === 'radio')) {
+      if (newNode instanceof HTMLInputElement && newNode.value === oldNode.value) newNode.checked = oldNode.checked;
+    } else if (!(oldNode instanceof HTMLInputElement && oldNode.type === 'file')) {
+      newNode.value = oldNode.value;
+      if (newNode instanceof HTMLTextAreaElement) newNode.defaultValue = oldNode.value;
+    }
+  },
+};
+
 /**
  * Morphs one DOM tree into another by comparing nodes and applying minimal changes
  * @param {Node} oldTree - The existing DOM tree
@@ -130,6 +151,9 @@ function walk(newNode, oldNode, options) {
     // Skip morphing if the node is shopify-accelerated-checkout-cart https://shopify.dev/docs/storefronts/themes/pricing-payments/accelerated-checkout#implement-accelerated-checkout-buttons-on-cart
     if (oldNode.tagName === 'SHOPIFY-ACCELERATED-CHECKOUT-CART') return oldNode;
 
+    // Skip morphing the cart upsell rail, it renders the recommendations it fetched itself
+    if (oldNode.tagName === 'CART-UPSELL-COMPONENT') return oldNode;
+
     if (newNode.tagName !== oldNode.tagName) return newNode;
 
     // Only check keys for elements, and only if both nodes have keys
@@ -467,3 +491,16 @@ function same(a, b, options) {
   // If we get here and nodes are elements with same tag (and compatible keys), they're the same
   return true;
 }
+
+/**
+ * Checks whether a node is a line item property field of a personalization component.
+ * @param {Node} node - The node to check
+ * @returns {node is HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} Whether the node is a personalization field
+ */
+function isPersonalizationField(node) {
+  return (
+    (node instanceof HTMLInputElement || node instanceof HTMLTextAreaElement || node instanceof HTMLSelectElement) &&
+    node.name.startsWith('properties[') &&
+    node.closest('product-personalization-component') !== null
+  );
+}
@@ -0,0 +1,158 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent, QuantitySelectorUpdateEvent } from '@theme/events';
+import { formatMoneyWithTemplate } from '@theme/money-format';
+import { morph } from '@theme/morph';
+
+/**
+ * @typedef {Object} PriceTier
+ * @property {number} minimumQuantity - The quantity from which the tier applies.
+ * @property {number} price - The unit price of the tier, in cents.
+ */
+
+/**
+ * A custom element that shows the volume pricing tiers of the selected variant,
+ * and the unit and line price of the selected quantity.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the shop.
+ * @property {HTMLScriptElement} tiers - The tiers of the variant, as JSON.
+ * @property {HTMLElement[]} tierRows - The rows of the tiers table.
+ * @property {HTMLElement} unitPrice - The unit price of the selected quantity.
+ * @property {HTMLElement} linePrice - The price of the selected quantity.
+ *
+ * @extends {Component<Refs>}
+ */
+class PriceBreaks extends Component {
+  requiredRefs = ['moneyFormat', 'tiers', 'unitPrice', 'linePrice'];
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const closestSection = this.closest('.shopify-section, dialog');
+
+    closestSection?.addEventListener(ThemeEvents.variantUpdate, this.updateTiers, { signal });
+    closestSection?.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityUpdate, { signal });
+    closestSection?.addEventListener('input', this.#onQuantityInput, { signal });
+
+    this.#render(this.#getQuantityInput()?.value);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * Updates the tiers for the new variant.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  updateTiers = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.target instanceof HTMLElement && event.target.dataset.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newPriceBreaks = event.detail.data.html.querySelector('price-breaks');
+
+    if (!newPriceBreaks) return;
+
+    morph(this, newPriceBreaks, { childrenOnly: true });
+    this.hidden = newPriceBreaks.hasAttribute('hidden');
+
+    // The quantity selector starts from the minimum of the new variant
+    this.#render(this.#getQuantityInput()?.value);
+  };
+
+  /**
+   * @param {QuantitySelectorUpdateEvent} event - The quantity selector update event.
+   */
+  #onQuantityUpdate = (event) => {
+    // Cart lines have their own prices
+    if (!Number.isNaN(event.detail.cartLine) || !this.#isOwnQuantityInput(event.target)) return;
+
+    this.#render(event.detail.quantity);
+  };
+
+  /**
+   * Updates the prices while the quantity is typed.
+   * @param {Event} event - The input event.
+   */
+  #onQuantityInput = (event) => {
+    if (!(event.target instanceof HTMLInputElement) || !this.#isOwnQuantityInput(event.target)) return;
+
+    this.#render(event.target.value);
+  };
+
+  /**
+   * Checks if an element is the quantity input of the product form of the same product.
+   * @param {EventTarget | null} target
+   * @returns {boolean}
+   */
+  #isOwnQuantityInput(target) {
+    return (
+      target instanceof HTMLInputElement &&
+      target.name === 'quantity' &&
+      target.closest('product-form-component')?.getAttribute('data-product-id') === this.dataset.productId
+    );
+  }
+
+  /**
+   * Gets the quantity input of the product form of the same product.
+   * @returns {HTMLInputElement | undefined}
+   */
+  #getQuantityInput() {
+    const inputs = this.closest('.shopify-section, dialog')?.querySelectorAll('input[name="quantity"]') ?? [];
+
+    for (const input of inputs) {
+      if (input instanceof HTMLInputElement && this.#isOwnQuantityInput(input)) return input;
+    }
+  }
+
+  /**
+   * Highlights the tier of the quantity and shows its unit and line price.
+   * @param {number | string | undefined} value - The selected quantity.
+   */
+  #render(value) {
+    const { unitPrice, linePrice, moneyFormat, tierRows = [] } = this.refs;
+    const tiers = this.#getTiers();
+    const quantity = Math.max(Number(value) || 0, tiers[0]?.minimumQuantity ?? 1);
+    // The tiers are ordered by minimum quantity, the last one reached applies
+    const tier = tiers.filter(({ minimumQuantity }) => quantity >= minimumQuantity).pop() ?? tiers[0];
+
+    if (!tier) return;
+
+    for (const row of tierRows) {
+      row.setAttribute('aria-current', String(Number(row.dataset.minimumQuantity) === tier.minimumQuantity));
+    }
+
+    const { currency } = this.dataset;
+
+    unitPrice.textContent = formatMoneyWithTemplate(tier.price, moneyFormat, currency);
+    linePrice.textContent = formatMoneyWithTemplate(tier.price * quantity, moneyFormat, currency);
+  }
+
+  /**
+   * Reads the tiers of the variant, ordered by minimum quantity.
+   * @returns {PriceTier[]}
+   */
+  #getTiers() {
+    try {
+      /** @type {PriceTier[]} */
+      const tiers = JSON.parse(this.refs.tiers.textContent || '[]');
+
+      return tiers.sort((a, b) => a.minimumQuantity - b.minimumQuantity);
+    } catch (error) {
+      console.error(error);
+      return [];
+    }
+  }
+}
+
+if (!customElements.get('price-breaks')) {
+  customElements.define('price-breaks', PriceBreaks);
+}
@@ -0,0 +1,317 @@
+import { DialogComponent } from '@theme/dialog';
+import { ThemeEvents } from '@theme/events';
+import { ProductCompare } from '@theme/product-compare';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/** @typedef {import('./product-compare').CompareItem} CompareItem */
+
+/**
+ * @typedef {Object} CompareDetails
+ * @property {string} id - The id of the product.
+ * @property {string} title - The title of the product.
+ * @property {string} url - The url of the product.
+ * @property {string | null} image - The url of the featured image of the product.
+ * @property {string} price - The formatted price of the selected variant.
+ * @property {string | null} compareAtPrice - The formatted compare at price, when the variant is on sale.
+ * @property {string} availability - Whether the product is in stock.
+ * @property {{ name: string, value: string }[]} options - The options of the product and their values.
+ * @property {{ name: string, value: string | null }[]} metafields - The metafields picked in the theme settings.
+ */
+
+/**
+ * @typedef {Object} CompareRow
+ * @property {string} label - The label of the row.
+ * @property {(string | null)[]} values - The value of the row for each product.
+ */
+
+const SECTION_ID = 'section-rendering-product-compare';
+
+/**
+ * A custom element that shows a tray of the products selected for comparison,
+ * and a dialog comparing their details side by side.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLDialogElement} dialog - The comparison dialog.
+ * @property {HTMLElement} trayList - The list of selected products.
+ * @property {HTMLTemplateElement} trayItemTemplate - The markup of a selected product.
+ * @property {HTMLButtonElement} compareButton - The button that opens the comparison.
+ * @property {HTMLElement} table - The container of the comparison table.
+ * @property {HTMLElement} status - The loading and error message of the comparison.
+ *
+ * @extends {DialogComponent<Refs>}
+ */
+class ProductCompareDrawer extends DialogComponent {
+  requiredRefs = ['dialog', 'trayList', 'trayItemTemplate', 'compareButton', 'table', 'status'];
+
+  /**
+   * The details of the products that were already loaded, by product url
+   * @type {Map<string, Promise<CompareDetails>>}
+   */
+  #details = new Map();
+
+  /**
+   * The ids of the products being compared
+   * @type {string | undefined}
+   */
+  #productIds;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#handleUpdate);
+
+    this.#renderTray();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The collection renders the tray empty, the selection only lives in the browser
+    this.#renderTray();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#handleUpdate);
+  }
+
+  /**
+   * Opens the dialog and compares the selected products.
+   */
+  compare() {
+    if (ProductCompare.getProducts().length < 2) return;
+
+    this.showDialog();
+    this.#renderComparison();
+  }
+
+  /**
+   * Removes a product from the comparison.
+   * @param {string | number} id - The id of the product.
+   */
+  removeProduct(id) {
+    ProductCompare.removeProduct(String(id));
+  }
+
+  /**
+   * Removes all the products from the comparison.
+   */
+  clear() {
+    ProductCompare.clearProducts();
+    this.closeDialog();
+  }
+
+  #handleUpdate = () => {
+    this.#renderTray();
+
+    if (!this.refs.dialog.open) return;
+
+    if (ProductCompare.getProducts().length < 2) {
+      this.closeDialog();
+    } else {
+      this.#renderComparison();
+    }
+  };
+
+  /**
+   * Renders the selected products in the tray.
+   */
+  #renderTray = () => {
+    const { trayList, trayItemTemplate, compareButton } = this.refs;
+    const products = ProductCompare.getProducts();
+
+    trayList.replaceChildren(...products.map((product) => this.#renderTrayItem(product, trayItemTemplate)));
+    compareButton.disabled = products.length < 2;
+    this.toggleAttribute('data-empty', products.length === 0);
+  };
+
+  /**
+   * Renders a selected product from the template.
+   * @param {CompareItem} product
+   * @param {HTMLTemplateElement} template
+   * @returns {DocumentFragment}
+   */
+  #renderTrayItem(product, template) {
+    const fragment = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+
+    const title = fragment.querySelector('[data-compare-title]');
+    if (title) title.textContent = product.title;
+
+    const image = fragment.querySelector('img[data-compare-image]');
+    if (image instanceof HTMLImageElement) {
+      if (product.image) {
+        image.src = product.image;
+        image.alt = product.title;
+      } else {
+        image.remove();
+      }
+    }
+
+    const button = fragment.querySelector('button[data-compare-remove]');
+    if (button instanceof HTMLButtonElement) {
+      button.setAttribute('on:click', `/removeProduct/${product.id}`);
+      button.setAttribute('aria-label', (button.getAttribute('aria-label') ?? '').replace('[title]', product.title));
+    }
+
+    return fragment;
+  }
+
+  /**
+   * Loads the details of the selected products and renders them in a table.
+   */
+  async #renderComparison() {
+    const { table, status } = this.refs;
+    const products = ProductCompare.getProducts();
+    const productIds = products.map(({ id }) => id).join(',');
+
+    this.#productIds = productIds;
+    status.textContent = this.dataset.loadingText ?? '';
+    status.hidden = false;
+
+    try {
+      const details = await Promise.all(products.map(({ url }) => this.#loadDetails(url)));
+
+      // The selection changed again while loading
+      if (this.#productIds !== productIds) return;
+
+      table.replaceChildren(this.#renderTable(details));
+      status.hidden = true;
+    } catch (error) {
+      console.error(error);
+      status.textContent = this.dataset.errorText ?? '';
+    }
+  }
+
+  /**
+   * Loads the details of a product, from the product page.
+   * @param {string} url - The url of the product.
+   * @returns {Promise<CompareDetails>}
+   */
+  #loadDetails(url) {
+    let details = this.#details.get(url);
+
+    if (!details) {
+      details = sectionRenderer.getSectionHTML(SECTION_ID, true, new URL(url, window.location.origin)).then((html) => {
+        const script = new DOMParser().parseFromString(html, 'text/html').querySelector('[data-product-compare]');
+
+        if (!script?.textContent) throw new Error(`No comparison details for ${url}`);
+
+        return JSON.parse(script.textContent);
+      });
+
+      // Loads the product again next time if it failed
+      details.catch(() => this.#details.delete(url));
+      this.#details.set(url, details);
+    }
+
+    return details;
+  }
+
+  /**
+   * Renders the comparison table, highlighting the rows with different values.
+   * @param {CompareDetails[]} products
+   * @returns {HTMLTableElement}
+   */
+  #renderTable(products) {
+    const { removeLabel = '' } = this.dataset;
+    const tableElement = document.createElement('table');
+    tableElement.className = 'product-compare__table';
+
+    const headerRow = tableElement.createTHead().insertRow();
+    headerRow.append(document.createElement('td'));
+
+    for (const product of products) {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.className = 'product-compare__product';
+
+      const link = document.createElement('a');
+      link.href = product.url;
+      link.className = 'product-compare__product-link';
+
+      if (product.image) {
+        const image = document.createElement('img');
+        image.src = product.image;
+        image.alt = '';
+        image.loading = 'lazy';
+        link.append(image);
+      }
+
+      const title = document.createElement('span');
+      title.textContent = product.title;
+      link.append(title);
+
+      const button = document.createElement('button');
+      button.className = 'button-unstyled product-compare__remove';
+      button.setAttribute('on:click', `/removeProduct/${product.id}`);
+      button.textContent = removeLabel;
+
+      cell.append(link, button);
+      headerRow.append(cell);
+    }
+
+    const body = tableElement.createTBody();
+
+    for (const { label, values } of this.#getRows(products)) {
+      const row = body.insertRow();
+      const heading = document.createElement('th');
+      heading.scope = 'row';
+      heading.textContent = label;
+      row.append(heading);
+
+      for (const value of values) {
+        row.insertCell().textContent = value ?? '–';
+      }
+
+      row.classList.toggle('product-compare__row--different', new Set(values).size > 1);
+    }
+
+    // Prices are rendered apart to strike through the compare at price
+    const priceRow = body.rows[0];
+    products.forEach((product, index) => {
+      const cell = priceRow?.cells[index + 1];
+
+      if (!cell || !product.compareAtPrice) return;
+
+      const compareAtPrice = document.createElement('s');
+      compareAtPrice.className = 'product-compare__compare-at-price';
+      compareAtPrice.textContent = product.compareAtPrice;
+      cell.append(' ', compareAtPrice);
+    });
+
+    return tableElement;
+  }
+
+  /**
+   * Aligns the details of the products in rows, options and metafields missing on a product are left empty.
+   * @param {CompareDetails[]} products
+   * @returns {CompareRow[]}
+   */
+  #getRows(products) {
+    const { labelPrice = '', labelAvailability = '' } = this.dataset;
+
+    /** @type {CompareRow[]} */
+    const rows = [
+      { label: labelPrice, values: products.map(({ price }) => price) },
+      { label: labelAvailability, values: products.map(({ availability }) => availability) },
+    ];
+
+    for (const key of /** @type {const} */ (['options', 'metafields'])) {
+      const names = new Set(products.flatMap((product) => product[key].map(({ name }) => name)));
+
+      for (const name of names) {
+        rows.push({
+          label: name,
+          values: products.map((product) => product[key].find((field) => field.name === name)?.value ?? null),
+        });
+      }
+    }
+
+    return rows;
+  }
+}
+
+if (!customElements.get('product-compare-drawer')) {
+  customElements.define('product-compare-drawer', ProductCompareDrawer);
+}
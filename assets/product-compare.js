@@ -0,0 +1,91 @@
+import { CompareUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} CompareItem
+ * @property {string} id - The id of the product.
+ * @property {string} url - The url of the product, used to load its details.
+ * @property {string} title - The title of the product.
+ * @property {string} [image] - The url of the featured image of the product.
+ */
+
+/**
+ * Updates the products selected for comparison in sessionStorage, so they're kept while browsing collection pages.
+ */
+export class ProductCompare {
+  /** @static @constant {string} The key used to store the compared products in session storage */
+  static #STORAGE_KEY = 'compareProducts';
+  /** @static @constant {number} The maximum number of products to compare */
+  static MAX_PRODUCTS = 4;
+
+  /**
+   * Adds a product to the comparison, unless it's full.
+   * @param {CompareItem} item - The product to add.
+   * @returns {boolean} Whether the product was added.
+   */
+  static addProduct(item) {
+    const products = this.getProducts();
+
+    if (products.some(({ id }) => id === item.id)) return true;
+    if (this.isFull()) return false;
+
+    this.#save([...products, item]);
+    return true;
+  }
+
+  /**
+   * Removes a product from the comparison.
+   * @param {string} productId - The ID of the product to remove.
+   */
+  static removeProduct(productId) {
+    this.#save(this.getProducts().filter(({ id }) => id !== productId));
+  }
+
+  static clearProducts() {
+    this.#save([]);
+  }
+
+  /**
+   * Checks if a product is selected for comparison.
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean}
+   */
+  static hasProduct(productId) {
+    return this.getProducts().some(({ id }) => id === productId);
+  }
+
+  /**
+   * Checks if no more products can be added.
+   * @returns {boolean}
+   */
+  static isFull() {
+    return this.getProducts().length >= this.MAX_PRODUCTS;
+  }
+
+  /**
+   * Retrieves the products selected for comparison from session storage.
+   * @returns {CompareItem[]} The products, in the order they were selected.
+   */
+  static getProducts() {
+    try {
+      const products = JSON.parse(sessionStorage.getItem(this.#STORAGE_KEY) || '[]');
+
+      return Array.isArray(products) ? products : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Stores the products and broadcasts the change.
+   * @param {CompareItem[]} products
+   */
+  static #save(products) {
+    try {
+      sessionStorage.setItem(this.#STORAGE_KEY, JSON.stringify(products));
+    } catch (_) {
+      // no-op, the selection is lost when the page is left
+    }
+
+    document.dispatchEvent(new CompareUpdateEvent(products));
+  }
+}
@@ -1,9 +1,13 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
+import { onAnimationEnd, preloadImage } from '@theme/utilities';
+import { ThemeEvents, CartAddEvent, VariantUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { InventoryModel } from '@theme/inventory-model';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
 
+/** @typedef {import('./product-personalization').ProductPersonalizationComponent} ProductPersonalizationComponent */
+
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
 /**
@@ -55,6 +59,9 @@ export class AddToCartComponent extends Component {
    * @param {MouseEvent & {target: HTMLElement}} event - The click event.
    */
   handleClick(event) {
+    // The product form shows the errors of invalid personalization fields instead of adding to the cart
+    if (this.refs.addToCartButton.form?.checkValidity() === false) return;
+
     this.animateAddToCart();
 
     if (!event.target.closest('.quick-add-modal')) this.#animateFlyToCart();
@@ -73,19 +80,11 @@ export class AddToCartComponent extends Component {
    */
   #animateFlyToCart() {
     const { addToCartButton } = this.refs;
-    const cartIcon = document.querySelector('.header-actions__cart-icon');
-
     const image = this.dataset.productVariantMedia;
 
-    if (!cartIcon || !addToCartButton || !image) return;
-
-    const flyToCartElement = /** @type {FlyToCart} */ (document.createElement('fly-to-cart'));
+    if (!addToCartButton || !image) return;
 
-    flyToCartElement.style.setProperty('background-image', `url(${image})`);
-    flyToCartElement.source = addToCartButton;
-    flyToCartElement.destination = cartIcon;
-
-    document.body.appendChild(flyToCartElement);
+    flyToCart(addToCartButton, image);
   }
 
   /**
@@ -121,6 +120,7 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {AddToCartComponent | undefined} addToCartButtonContainer - The add to cart button container element.
  * @property {HTMLElement | undefined} addToCartTextError - The add to cart text error.
  * @property {HTMLElement | undefined} acceleratedCheckoutButtonContainer - The accelerated checkout button container element.
+ * @property {HTMLInputElement | undefined} preorderProperty - The line item property marking pre-orders.
  * @property {HTMLElement} liveRegion - The live region.
  *
  * @extends Component<ProductFormRefs>
@@ -167,58 +167,36 @@ class ProductFormComponent extends Component {
 
     if (!form) throw new Error('Product form element missing');
 
+    if (!this.#validatePersonalization(form)) return;
+
     const formData = new FormData(form);
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
+    /** @type {string[]} */
+    const cartItemComponentsSectionIds = [];
+    document.querySelectorAll('cart-items-component').forEach((item) => {
       if (item instanceof HTMLElement && item.dataset.sectionId) {
         cartItemComponentsSectionIds.push(item.dataset.sectionId);
       }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then((response) => {
-        if (response.status) {
-          window.dispatchEvent(new CartErrorEvent(this.id, response.message));
+    cartStore
+      .add(formData, { sourceId: this.id, sections: cartItemComponentsSectionIds })
+      .then(({ ok, response, stale, queued }) => {
+        if (queued) {
+          // The cart store adds the item once the shopper is back online
+          this.#showError(Theme.translations.cart_offline_add ?? '');
+          return;
+        }
 
+        if (!ok) {
           if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
-
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
-
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
-
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
 
-            // Clear the announcement
-            this.#clearLiveRegionText();
-          }, 10000);
+          this.#showError(response.message);
 
           // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
           // because our back-end still adds the max allowed amount to the cart.
           this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
+            new CartAddEvent(cartStore.cart ?? {}, this.id, {
               didError: true,
               source: 'product-form-component',
               itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
@@ -250,12 +228,13 @@ class ProductFormComponent extends Component {
             }, 5000);
           }
 
+          // Sections rendered while more cart changes are queued are outdated, the last change renders them instead
           this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
+            new CartAddEvent(cartStore.cart ?? {}, id.toString(), {
               source: 'product-form-component',
               itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
               productId: this.dataset.productId,
-              sections: response.sections,
+              sections: stale ? undefined : response.sections,
             })
           );
         }
@@ -269,6 +248,56 @@ class ProductFormComponent extends Component {
       });
   }
 
+  /**
+   * Validates the personalization fields of the form, which can be rendered outside of it.
+   * @param {HTMLFormElement} form - The product form.
+   * @returns {boolean} Whether all fields are valid.
+   */
+  #validatePersonalization(form) {
+    /** @type {Set<ProductPersonalizationComponent>} */
+    const personalizations = new Set();
+
+    for (const element of form.elements) {
+      if (!element.getAttribute('name')?.startsWith('properties[')) continue;
+
+      const personalization = element.closest('product-personalization-component');
+      if (personalization) personalizations.add(/** @type {ProductPersonalizationComponent} */ (personalization));
+    }
+
+    return [...personalizations].map((personalization) => personalization.validate()).every(Boolean);
+  }
+
+  /**
+   * Shows a message in the add to cart error element and announces it.
+   * @param {string} message - The message to show.
+   */
+  #showError(message) {
+    const { addToCartTextError } = this.refs;
+
+    if (!addToCartTextError) return;
+    addToCartTextError.classList.remove('hidden');
+
+    // Reuse the text node if the user is spam-clicking
+    const textNode = addToCartTextError.childNodes[2];
+    if (textNode) {
+      textNode.textContent = message;
+    } else {
+      const newTextNode = document.createTextNode(message);
+      addToCartTextError.appendChild(newTextNode);
+    }
+
+    // Create or get existing error live region for screen readers
+    this.#setLiveRegionText(message);
+
+    this.#timeout = setTimeout(() => {
+      if (!addToCartTextError) return;
+      addToCartTextError.classList.add('hidden');
+
+      // Clear the announcement
+      this.#clearLiveRegionText();
+    }, 10000);
+  }
+
   /**
    * @param {*} text
    */
@@ -321,9 +350,34 @@ class ProductFormComponent extends Component {
       const productVariantMedia = event.detail.resource.featured_media?.preview_image?.src;
       productVariantMedia &&
         addToCartButtonContainer?.setAttribute('data-product-variant-media', productVariantMedia + '&width=100');
+
+      this.#updatePreorder(event.detail.resource.id);
     }
   };
 
+  /**
+   * Switches the add to cart button to pre-order, and marks the line item, when the variant sells before it's in stock.
+   * @param {string} variantId - The id of the selected variant.
+   */
+  #updatePreorder(variantId) {
+    const { preorderProperty, addToCartButtonContainer } = this.refs;
+    const inventory = InventoryModel.fromElement(this);
+
+    if (!inventory) return;
+
+    const preorder = inventory.isPreorder(variantId);
+
+    if (preorderProperty) {
+      preorderProperty.disabled = !preorder;
+      preorderProperty.value =
+        inventory.getVariant(variantId)?.incomingDate ?? preorderProperty.dataset.defaultValue ?? '';
+    }
+
+    const text = addToCartButtonContainer?.querySelector('.add-to-cart-text__content');
+
+    if (preorder && text) text.textContent = Theme.translations.preorder ?? '';
+  }
+
   /**
    * Disable the add to cart button while the UI is updating before #onVariantUpdate is called.
    * Accelerated checkout button is also disabled via its own event listener not exposed to the theme.
@@ -419,6 +473,25 @@ class FlyToCart extends HTMLElement {
   }
 }
 
+/**
+ * Animates an image flying from an element to the cart icon in the header.
+ * @param {Element} source - The element the image starts from.
+ * @param {string} image - The URL of the image.
+ */
+export function flyToCart(source, image) {
+  const cartIcon = document.querySelector('.header-actions__cart-icon');
+
+  if (!cartIcon) return;
+
+  const flyToCartElement = /** @type {FlyToCart} */ (document.createElement('fly-to-cart'));
+
+  flyToCartElement.style.setProperty('background-image', `url(${image})`);
+  flyToCartElement.source = source;
+  flyToCartElement.destination = cartIcon;
+
+  document.body.appendChild(flyToCartElement);
+}
+
 /**
  * Calculates a point on a cubic Bézier curve.
  * @param {number} t - The parameter value (0 <= t <= 1).
@@ -1,6 +1,9 @@
 import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { InventoryModel } from '@theme/inventory-model';
 import { morph } from '@theme/morph';
 
+/** @typedef {import('./inventory-model').InventoryStatus} InventoryStatus */
+
 class ProductInventory extends HTMLElement {
   connectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
@@ -23,12 +26,63 @@ class ProductInventory extends HTMLElement {
       return;
     }
 
+    const variant = event.detail.resource;
+    const inventory = InventoryModel.fromElement(this);
+
+    // A new product brings its own inventory, which comes with the server HTML
+    if (!event.detail.data.newProduct && variant && inventory?.getVariant(variant.id)) {
+      this.#renderStatus(inventory, variant.id);
+      return;
+    }
+
     const newInventory = event.detail.data.html.querySelector('product-inventory');
 
     if (!newInventory) return;
 
     morph(this, newInventory, { childrenOnly: true });
   };
+
+  /**
+   * Renders the stock status of a variant from the inventory.
+   * @param {InventoryModel} inventory - The inventory of the product.
+   * @param {string} variantId - The id of the variant.
+   */
+  #renderStatus(inventory, variantId) {
+    const text = this.querySelector('.product-inventory__text');
+    const icon = this.querySelector('.product-inventory__icon');
+    const status = inventory.getStatus(variantId, Number(this.dataset.threshold));
+
+    if (text) text.textContent = this.#getStatusText(status, inventory.getVariant(variantId));
+
+    if (icon) {
+      icon.className = icon.className.replace(/product-inventory__icon-\w+/, `product-inventory__icon-${status}`);
+    }
+  }
+
+  /**
+   * Gets the message for a stock status.
+   * @param {InventoryStatus} status - The stock status.
+   * @param {import('./inventory-model').VariantInventory | null} variant - The inventory of the variant.
+   * @returns {string}
+   */
+  #getStatusText(status, variant) {
+    const { translations } = Theme;
+
+    switch (status) {
+      case 'low':
+        return this.hasAttribute('data-show-quantity') && variant
+          ? variant.lowStockMessage
+          : (translations.inventory_low_stock ?? '');
+      case 'preorder':
+        return variant?.incomingDate
+          ? (translations.inventory_ships_on ?? '').replace('[date]', variant.incomingDate)
+          : (translations.inventory_preorder ?? '');
+      case 'out_of_stock':
+        return translations.inventory_out_of_stock ?? '';
+      default:
+        return translations.inventory_in_stock ?? '';
+    }
+  }
 }
 
 if (!customElements.get('product-inventory')) {
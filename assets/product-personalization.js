@@ -0,0 +1,157 @@
+import { Component } from '@theme/component';
+
+/**
+ * A custom element that validates the personalization fields of a product form.
+ *
+ * The fields are regular `properties[...]` inputs, so the product form submits them as line item properties.
+ * Each field uses the browser constraints (`required`, `maxlength`, `min`, `max`, `accept`) and can set
+ * `data-max-size` on a file input to limit the upload size, in megabytes.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement[]} fields - The field wrappers, each holding a control and a `[data-personalization-error]`.
+ *
+ * @extends {Component<Refs>}
+ */
+export class ProductPersonalizationComponent extends Component {
+  requiredRefs = ['fields'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.refs.fields.forEach(updateCount);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The values are kept when the section is re-rendered, but the counts are not
+    this.refs.fields.forEach(updateCount);
+  }
+
+  /**
+   * Validates all fields, shows their errors and focuses the first invalid one.
+   * @returns {boolean} Whether all fields are valid.
+   */
+  validate() {
+    const invalidFields = this.refs.fields.filter((field) => !this.#validateField(field));
+
+    getControls(invalidFields[0])[0]?.focus();
+
+    return invalidFields.length === 0;
+  }
+
+  /**
+   * Validates a field once the customer is done with it.
+   * @param {Event} event - The change event.
+   */
+  handleChange(event) {
+    const field = this.#getField(event.target);
+
+    if (field) this.#validateField(field);
+  }
+
+  /**
+   * Updates the character count and clears the error as soon as the field is valid.
+   * @param {Event} event - The input event.
+   */
+  handleInput(event) {
+    const field = this.#getField(event.target);
+
+    if (!field) return;
+
+    updateCount(field);
+
+    if (field.querySelector('[aria-invalid="true"]')) this.#validateField(field);
+  }
+
+  /**
+   * Gets the field wrapper of a control.
+   * @param {EventTarget | null} target
+   * @returns {HTMLElement | undefined}
+   */
+  #getField(target) {
+    if (!(target instanceof Element)) return;
+
+    return this.refs.fields.find((field) => field.contains(target));
+  }
+
+  /**
+   * Validates a field and shows its error.
+   * @param {HTMLElement} field
+   * @returns {boolean} Whether the field is valid.
+   */
+  #validateField(field) {
+    const controls = getControls(field);
+
+    for (const control of controls) {
+      control.setCustomValidity('');
+
+      // Whitespace alone isn't a personalization
+      if (control instanceof HTMLTextAreaElement || (control instanceof HTMLInputElement && control.type === 'text')) {
+        if (control.value.trim() === '') control.value = '';
+      }
+
+      if (control instanceof HTMLInputElement && control.type === 'file') {
+        const maxSize = Number(control.dataset.maxSize) * 1024 * 1024;
+        const file = control.files?.[0];
+
+        if (file && maxSize && file.size > maxSize) {
+          control.setCustomValidity(
+            (Theme.translations.personalization_file_too_large ?? '').replace('[size]', control.dataset.maxSize ?? '')
+          );
+        }
+      }
+    }
+
+    const invalidControl = controls.find((control) => !control.validity.valid);
+    const error = field.querySelector('[data-personalization-error]');
+
+    for (const control of controls) {
+      if (control === invalidControl) {
+        control.setAttribute('aria-invalid', 'true');
+      } else {
+        control.removeAttribute('aria-invalid');
+      }
+    }
+
+    if (error instanceof HTMLElement) {
+      error.textContent = invalidControl?.validationMessage ?? '';
+      error.hidden = !invalidControl;
+    }
+
+    return !invalidControl;
+  }
+}
+
+if (!customElements.get('product-personalization-component')) {
+  customElements.define('product-personalization-component', ProductPersonalizationComponent);
+}
+
+/**
+ * Updates the character count of a field.
+ * @param {HTMLElement} field
+ */
+function updateCount(field) {
+  const count = field.querySelector('[data-personalization-count]');
+  const [control] = getControls(field);
+
+  if (!count || !(control instanceof HTMLInputElement || control instanceof HTMLTextAreaElement)) return;
+
+  count.textContent = `${control.value.length}/${control.maxLength}`;
+}
+
+/**
+ * Gets the form controls of a field.
+ * @param {HTMLElement | undefined} field
+ * @returns {(HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement)[]}
+ */
+function getControls(field) {
+  if (!field) return [];
+
+  return Array.from(field.querySelectorAll('input, textarea, select')).filter(
+    (control) =>
+      control instanceof HTMLInputElement ||
+      control instanceof HTMLTextAreaElement ||
+      control instanceof HTMLSelectElement
+  );
+}
@@ -1,23 +1,33 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, VariantUpdateEvent, SellingPlanUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that displays a product price.
  * This component listens for variant update events and updates the price display accordingly.
- * It handles price updates from two different sources:
+ * It handles price updates from three different sources:
  * 1. Variant picker (in quick add modal or product page)
  * 2. Swatches variant picker (in product cards)
+ * 3. Selling plan picker, which shows the subscription price instead of the one-time price
  */
 class ProductPrice extends HTMLElement {
+  /**
+   * The one-time purchase price of the current variant, shown again when no selling plan is selected.
+   * @type {Node | undefined}
+   */
+  #oneTimePrice;
+
   connectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
+    this.#oneTimePrice = this.querySelector('[ref="priceContainer"]')?.cloneNode(true);
     closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.addEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlanPrice);
   }
 
   disconnectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.removeEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlanPrice);
   }
 
   /**
@@ -36,12 +46,82 @@ class ProductPrice extends HTMLElement {
 
     if (!newPrice || !currentPrice) return;
 
+    this.#oneTimePrice = newPrice.cloneNode(true);
+
     if (currentPrice.innerHTML !== newPrice.innerHTML) {
       currentPrice.replaceWith(newPrice);
     }
   };
+
+  /**
+   * Shows the price of the selected selling plan, or the one-time price when none is selected.
+   * @param {SellingPlanUpdateEvent} event - The selling plan update event.
+   */
+  updateSellingPlanPrice = (event) => {
+    if (event.target instanceof HTMLElement && event.target.dataset.productId !== this.dataset.productId) return;
+
+    const currentPrice = this.querySelector('[ref="priceContainer"]');
+    const sellingPlan = event.detail.resource;
+
+    if (!currentPrice || !this.#oneTimePrice) return;
+
+    currentPrice.replaceWith(sellingPlan ? createSellingPlanPrice(sellingPlan) : this.#oneTimePrice.cloneNode(true));
+  };
 }
 
 if (!customElements.get('product-price')) {
   customElements.define('product-price', ProductPrice);
 }
+
+/**
+ * Creates the price container for a selling plan, matching the markup of the `price` snippet.
+ * @param {import('./events').SellingPlanPrice} sellingPlan
+ * @returns {HTMLElement}
+ */
+function createSellingPlanPrice({ price, compareAtPrice, perDeliveryPrice }) {
+  const container = document.createElement('div');
+  container.setAttribute('ref', 'priceContainer');
+
+  if (compareAtPrice) {
+    container.append(
+      createPriceGroup('compare-at-price', compareAtPrice, Theme.translations.price_regular ?? ''),
+      createPriceGroup('price', price, Theme.translations.price_sale ?? '')
+    );
+  } else {
+    const priceElement = document.createElement('span');
+    priceElement.className = 'price';
+    priceElement.textContent = price;
+    container.append(priceElement);
+  }
+
+  if (perDeliveryPrice) {
+    const perDelivery = document.createElement('span');
+    perDelivery.className = 'price__per-delivery';
+    perDelivery.textContent = (Theme.translations.price_per_delivery ?? '').replace('[price]', perDeliveryPrice);
+    container.append(perDelivery);
+  }
+
+  return container;
+}
+
+/**
+ * Creates a price with a label for screen readers.
+ * @param {string} className - The class of the price.
+ * @param {string} price - The formatted price.
+ * @param {string} label - The label read before the price.
+ * @returns {HTMLElement}
+ */
+function createPriceGroup(className, price, label) {
+  const group = document.createElement('span');
+  const labelElement = document.createElement('span');
+  const priceElement = document.createElement('span');
+
+  group.setAttribute('role', 'group');
+  labelElement.className = 'visually-hidden';
+  labelElement.textContent = `${label} `;
+  priceElement.className = className;
+  priceElement.textContent = price;
+  group.append(labelElement, priceElement);
+
+  return group;
+}
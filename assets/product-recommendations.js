@@ -1,3 +1,31 @@
+/**
+ * The recommendations fetched so far, by url
+ * @type {Record<string, string>}
+ */
+const cachedRecommendations = {};
+
+/**
+ * Fetches the recommendations rendered by a section and caches the result for future use
+ * @param {string} url - The recommendations url, with the product id, section id and intent
+ * @param {AbortSignal} [signal] - The signal to abort the fetch
+ * @returns {Promise<{ success: true, data: string } | { success: false, status: number }>}
+ */
+export async function fetchCachedRecommendations(url, signal) {
+  const cachedResponse = cachedRecommendations[url];
+  if (cachedResponse) {
+    return { success: true, data: cachedResponse };
+  }
+
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    return { success: false, status: response.status };
+  }
+
+  const text = await response.text();
+  cachedRecommendations[url] = text;
+  return { success: true, data: text };
+}
+
 class ProductRecommendations extends HTMLElement {
   /**
    * The observer for the product recommendations
@@ -35,12 +63,6 @@ class ProductRecommendations extends HTMLElement {
     }
   });
 
-  /**
-   * The cached recommendations
-   * @type {Record<string, string>}
-   */
-  #cachedRecommendations = {};
-
   /**
    * An abort controller for the active fetch (if there is one)
    * @type {AbortController | null}
@@ -106,23 +128,11 @@ class ProductRecommendations extends HTMLElement {
   async #fetchCachedRecommendations(productId, sectionId, intent) {
     const url = `${this.dataset.url}&product_id=${productId}&section_id=${sectionId}&intent=${intent}`;
 
-    const cachedResponse = this.#cachedRecommendations[url];
-    if (cachedResponse) {
-      return { success: true, data: cachedResponse };
-    }
-
     this.#activeFetch?.abort();
     this.#activeFetch = new AbortController();
 
     try {
-      const response = await fetch(url, { signal: this.#activeFetch.signal });
-      if (!response.ok) {
-        return { success: false, status: response.status };
-      }
-
-      const text = await response.text();
-      this.#cachedRecommendations[url] = text;
-      return { success: true, data: text };
+      return await fetchCachedRecommendations(url, this.#activeFetch.signal);
     } finally {
       this.#activeFetch = null;
     }
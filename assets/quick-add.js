@@ -14,9 +14,17 @@ export class QuickAddComponent extends Component {
     return this.#cachedProductHtml;
   }
 
+  /**
+   * The URL of the product page, or an empty string when the quick add isn't linked to a product
+   * @returns {string}
+   */
   get productPageUrl() {
-    return /** @type {HTMLAnchorElement} */ (this.closest('product-card')?.querySelector('a[ref="productCardLink"]'))
-      ?.href;
+    const productCardLink = /** @type {HTMLAnchorElement | null | undefined} */ (
+      this.closest('product-card')?.querySelector('a[ref="productCardLink"]')
+    );
+
+    // Outside of product cards, e.g. in the cart drawer, the quick add knows the product url itself
+    return productCardLink?.href ?? this.dataset.productUrl ?? '';
   }
 
   connectedCallback() {
@@ -38,8 +46,12 @@ export class QuickAddComponent extends Component {
   handleClick = async (event) => {
     event.preventDefault();
 
+    const { productPageUrl } = this;
+
+    if (!productPageUrl) return;
+
     if (!this.#cachedProductHtml) {
-      await this.fetchProductPage(this.productPageUrl);
+      await this.fetchProductPage(productPageUrl);
     }
 
     if (this.#cachedProductHtml) {
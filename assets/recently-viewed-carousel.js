@@ -0,0 +1,78 @@
+import { ThemeEvents } from '@theme/events';
+import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * A custom element that renders the recently viewed products in a carousel.
+ * The section is rendered on the search route, with the ids of the viewed products as the query.
+ */
+class RecentlyViewedCarousel extends HTMLElement {
+  /**
+   * The ids of the rendered products, or of the products being loaded
+   * @type {string | undefined}
+   */
+  #productIds;
+
+  connectedCallback() {
+    document.addEventListener(ThemeEvents.recentlyViewedUpdate, this.#loadProducts);
+
+    this.#loadProducts();
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener(ThemeEvents.recentlyViewedUpdate, this.#loadProducts);
+  }
+
+  /**
+   * Loads the viewed products, leaving out the current product.
+   */
+  #loadProducts = async () => {
+    const { sectionId, excludeProductId, limit } = this.dataset;
+
+    if (!sectionId || !this.id) {
+      throw new Error('Section ID and an ID attribute are required');
+    }
+
+    const viewedProducts = RecentlyViewed.getProducts()
+      .filter((id) => id !== excludeProductId)
+      .slice(0, Number(limit) || undefined);
+    const productIds = viewedProducts.join(',');
+
+    if (productIds === this.#productIds) return;
+    this.#productIds = productIds;
+
+    if (viewedProducts.length === 0) {
+      // Keep the placeholder products in the theme editor
+      if (!Shopify.designMode) this.hidden = true;
+      return;
+    }
+
+    const url = new URL(Theme.routes.search_url, location.origin);
+    url.searchParams.set('q', viewedProducts.map((id) => `id:${id}`).join(' OR '));
+    url.searchParams.set('resources[type]', 'product');
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(sectionId, false, url);
+
+      // The products were viewed or cleared again while loading
+      if (productIds !== this.#productIds) return;
+
+      const carousel = new DOMParser().parseFromString(html, 'text/html').getElementById(this.id);
+
+      if (!carousel?.querySelector('.resource-list__item')) {
+        this.hidden = true;
+        return;
+      }
+
+      this.innerHTML = carousel.innerHTML;
+      this.hidden = false;
+    } catch (error) {
+      console.error(error);
+      this.hidden = true;
+    }
+  };
+}
+
+if (!customElements.get('recently-viewed-carousel')) {
+  customElements.define('recently-viewed-carousel', RecentlyViewedCarousel);
+}
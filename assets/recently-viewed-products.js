@@ -1,35 +1,103 @@
+import { RecentlyViewedUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} RecentlyViewedProduct
+ * @property {string} id - The ID of the product.
+ * @property {string} [variantId] - The ID of the variant that was viewed last.
+ * @property {string} [handle] - The handle of the product.
+ * @property {number} timestamp - When the product was viewed last, in milliseconds.
+ */
+
+/** @constant {number} The number of milliseconds in a day */
+const DAY = 24 * 60 * 60 * 1000;
+
 /**
  * Updates the recently viewed products in localStorage.
  */
 export class RecentlyViewed {
   /** @static @constant {string} The key used to store the viewed products in session storage */
   static #STORAGE_KEY = 'viewedProducts';
-  /** @static @constant {number} The maximum number of products to store */
-  static #MAX_PRODUCTS = 4;
+
+  /**
+   * The maximum number of products to store, from the theme settings.
+   * @type {number}
+   */
+  static maxProducts = Theme.recently_viewed.max_products;
+
+  /**
+   * How long a viewed product is kept, in milliseconds, from the theme settings.
+   * @type {number}
+   */
+  static ttl = Theme.recently_viewed.ttl_days * DAY;
 
   /**
    * Adds a product to the recently viewed products list.
+   * A product is only stored once, whichever of its variants was viewed.
    * @param {string} productId - The ID of the product to add.
+   * @param {{ variantId?: string, handle?: string }} [details] - The viewed variant and the handle of the product.
    */
-  static addProduct(productId) {
-    let viewedProducts = this.getProducts();
+  static addProduct(productId, details = {}) {
+    const viewedProducts = this.getEntries().filter(({ id }) => id !== productId);
 
-    viewedProducts = viewedProducts.filter((/** @type {string} */ id) => id !== productId);
-    viewedProducts.unshift(productId);
-    viewedProducts = viewedProducts.slice(0, this.#MAX_PRODUCTS);
+    viewedProducts.unshift({ ...details, id: productId, timestamp: Date.now() });
 
-    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+    this.#save(viewedProducts.slice(0, this.maxProducts));
   }
 
   static clearProducts() {
     localStorage.removeItem(this.#STORAGE_KEY);
+    document.dispatchEvent(new RecentlyViewedUpdateEvent([]));
   }
 
   /**
    * Retrieves the list of recently viewed products from session storage.
-   * @returns {string[]} The list of viewed products.
+   * @param {number} [limit] - The maximum number of products to return.
+   * @returns {string[]} The IDs of the viewed products, most recently viewed first.
+   */
+  static getProducts(limit) {
+    return this.getEntries()
+      .slice(0, limit)
+      .map(({ id }) => id);
+  }
+
+  /**
+   * Retrieves the recently viewed products that haven't expired.
+   * @returns {RecentlyViewedProduct[]} The viewed products, most recently viewed first.
+   */
+  static getEntries() {
+    /** @type {(RecentlyViewedProduct | string)[]} */
+    let storedProducts;
+
+    try {
+      storedProducts = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+    } catch (_) {
+      return [];
+    }
+
+    if (!Array.isArray(storedProducts)) return [];
+
+    const expiry = Date.now() - this.ttl;
+
+    return (
+      storedProducts
+        // The list used to hold the product IDs only, those count as just viewed
+        .map((product) => (typeof product === 'string' ? { id: product, timestamp: Date.now() } : product))
+        .filter((product) => product.timestamp > expiry)
+        .slice(0, this.maxProducts)
+    );
+  }
+
+  /**
+   * Stores the viewed products and broadcasts the change.
+   * @param {RecentlyViewedProduct[]} viewedProducts
    */
-  static getProducts() {
-    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+  static #save(viewedProducts) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+    } catch (_) {
+      // no-op, the products just aren't remembered
+    }
+
+    document.dispatchEvent(new RecentlyViewedUpdateEvent(viewedProducts));
   }
 }
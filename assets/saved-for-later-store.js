@@ -0,0 +1,146 @@
+import { fetchConfig } from '@theme/utilities';
+import { SavedForLaterUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} id - The key of the cart line the item was saved from.
+ * @property {number} variantId - The id of the variant.
+ * @property {number} productId - The id of the product.
+ * @property {number} quantity - The quantity of the line.
+ * @property {Record<string, string>} properties - The line item properties.
+ * @property {number} [sellingPlan] - The id of the selling plan of the line.
+ * @property {string} title - The title of the product.
+ * @property {string | null} variantTitle - The title of the variant.
+ * @property {string | null} image - The url of the image.
+ * @property {string} url - The url of the variant.
+ */
+
+/**
+ * Holds the cart lines saved for later.
+ *
+ * The list is kept in localStorage. For logged in customers it's also sent to the saved for later route,
+ * an app proxy that stores it in a customer metafield, so it follows them across devices.
+ */
+class SavedForLaterStore {
+  /** @static @constant {string} The key used to persist the list */
+  static #STORAGE_KEY = 'saved-for-later';
+
+  /**
+   * The saved items, most recently saved first.
+   * @type {SavedItem[]}
+   */
+  #items = this.#read();
+
+  constructor() {
+    if (Theme.routes.saved_for_later_url) this.#pull();
+  }
+
+  /**
+   * The saved items, most recently saved first.
+   * @returns {SavedItem[]}
+   */
+  get items() {
+    return [...this.#items];
+  }
+
+  /**
+   * Saves an item, replacing the item saved from the same line.
+   * @param {SavedItem} item
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   */
+  add(item, sourceId) {
+    this.#items = [item, ...this.#items.filter(({ id }) => id !== item.id)];
+    this.#commit(sourceId, { action: 'save', item });
+  }
+
+  /**
+   * Removes an item from the list.
+   * @param {string} id - The id of the item.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   * @param {'restore' | 'remove'} [action] - Whether the item was moved back to the cart or removed.
+   */
+  remove(id, sourceId, action = 'remove') {
+    const item = this.#items.find((item) => item.id === id);
+
+    if (!item) return;
+
+    this.#items = this.#items.filter((item) => item.id !== id);
+    this.#commit(sourceId, { action, item });
+  }
+
+  /**
+   * Persists the list and broadcasts the change.
+   * @param {string} sourceId
+   * @param {{ action: 'save' | 'restore' | 'remove' | 'sync', item?: SavedItem }} data
+   * @param {boolean} [push] - Whether to send the list to the customer account.
+   */
+  #commit(sourceId, data, push = true) {
+    this.#write();
+
+    if (push && Theme.routes.saved_for_later_url) this.#push();
+
+    document.dispatchEvent(new SavedForLaterUpdateEvent(this.items, sourceId, data));
+  }
+
+  /**
+   * Loads the list of the customer account, keeping the items saved before logging in.
+   */
+  async #pull() {
+    try {
+      const response = await fetch(Theme.routes.saved_for_later_url ?? '', { headers: { Accept: 'application/json' } });
+
+      if (!response.ok) return;
+
+      /** @type {{ items?: SavedItem[] }} */
+      const data = await response.json();
+      const remoteItems = Array.isArray(data.items) ? data.items : [];
+      const localItems = this.#items.filter((item) => !remoteItems.some(({ id }) => id === item.id));
+
+      this.#items = [...localItems, ...remoteItems];
+      this.#commit('saved-for-later-store', { action: 'sync' }, localItems.length > 0);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Sends the list to the customer account.
+   */
+  async #push() {
+    try {
+      await fetch(
+        Theme.routes.saved_for_later_url ?? '',
+        fetchConfig('json', { body: JSON.stringify({ items: this.#items }) })
+      );
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Reads the persisted list.
+   * @returns {SavedItem[]}
+   */
+  #read() {
+    try {
+      const items = JSON.parse(localStorage.getItem(SavedForLaterStore.#STORAGE_KEY) || '[]');
+
+      return Array.isArray(items) ? items : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Persists the list.
+   */
+  #write() {
+    try {
+      localStorage.setItem(SavedForLaterStore.#STORAGE_KEY, JSON.stringify(this.#items));
+    } catch (_) {
+      // no-op, the list is still shown until the page is left
+    }
+  }
+}
+
+export const savedForLater = new SavedForLaterStore();
@@ -0,0 +1,180 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { CartAddEvent, ThemeEvents } from '@theme/events';
+import { savedForLater } from '@theme/saved-for-later-store';
+
+/** @typedef {import('./saved-for-later-store').SavedItem} SavedItem */
+
+const SOURCE_ID = 'saved-for-later-component';
+
+/**
+ * A custom element that lists the cart lines saved for later, and moves them back to the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} list - The list of saved items.
+ * @property {HTMLTemplateElement} itemTemplate - The markup of a saved item.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedForLaterComponent extends Component {
+  requiredRefs = ['list', 'itemTemplate'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The cart renders the list empty, the items only live in the browser
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+  }
+
+  /**
+   * Adds a saved item back to the cart and removes it from the list.
+   * @param {string} id - The id of the saved item.
+   * @param {Event} event - The click event.
+   */
+  moveToCart(id, event) {
+    const item = savedForLater.items.find((item) => item.id === id);
+    const button = event.target;
+
+    if (!item || !(button instanceof HTMLButtonElement)) return;
+
+    const formData = new FormData();
+    formData.append('id', String(item.variantId));
+    formData.append('quantity', String(item.quantity));
+    if (item.sellingPlan) formData.append('selling_plan', String(item.sellingPlan));
+
+    for (const [name, value] of Object.entries(item.properties)) {
+      formData.append(`properties[${name}]`, value);
+    }
+
+    /** @type {string[]} */
+    const sections = [];
+    document.querySelectorAll('cart-items-component').forEach((cartItems) => {
+      if (cartItems instanceof HTMLElement && cartItems.dataset.sectionId) sections.push(cartItems.dataset.sectionId);
+    });
+
+    button.disabled = true;
+
+    cartStore
+      .add(formData, { sourceId: SOURCE_ID, sections })
+      .then(({ ok, queued, response, stale }) => {
+        if (!ok && !queued) {
+          button.disabled = false;
+          this.#showError(id, response.message ?? response.description);
+          return;
+        }
+
+        savedForLater.remove(id, SOURCE_ID, 'restore');
+
+        if (queued) return;
+
+        this.dispatchEvent(
+          new CartAddEvent(cartStore.cart ?? {}, SOURCE_ID, {
+            source: SOURCE_ID,
+            itemCount: item.quantity,
+            productId: String(item.productId),
+            variantId: String(item.variantId),
+            sections: stale ? undefined : response.sections,
+          })
+        );
+      })
+      .catch((error) => {
+        button.disabled = false;
+        console.error(error);
+      });
+  }
+
+  /**
+   * Removes a saved item from the list.
+   * @param {string} id - The id of the saved item.
+   */
+  removeItem(id) {
+    savedForLater.remove(id, SOURCE_ID);
+  }
+
+  /**
+   * Renders the saved items.
+   */
+  #render = () => {
+    const { list, itemTemplate } = this.refs;
+    const { items } = savedForLater;
+
+    list.replaceChildren(...items.map((item) => this.#renderItem(item, itemTemplate)));
+    this.hidden = items.length === 0;
+  };
+
+  /**
+   * Renders a saved item from the template.
+   * @param {SavedItem} item
+   * @param {HTMLTemplateElement} template
+   * @returns {DocumentFragment}
+   */
+  #renderItem(item, template) {
+    const fragment = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+
+    fragment.querySelector('[data-saved-item]')?.setAttribute('data-id', item.id);
+
+    for (const link of fragment.querySelectorAll('a[data-saved-link]')) {
+      if (link instanceof HTMLAnchorElement) link.href = item.url;
+    }
+
+    const title = fragment.querySelector('[data-saved-title]');
+    if (title) title.textContent = item.title;
+
+    const variant = fragment.querySelector('[data-saved-variant]');
+    if (variant) variant.textContent = item.variantTitle ?? '';
+
+    const image = fragment.querySelector('img[data-saved-image]');
+    if (image instanceof HTMLImageElement) {
+      if (item.image) {
+        const url = new URL(item.image, window.location.href);
+        url.searchParams.set('width', '160');
+        image.src = url.toString();
+      } else {
+        image.remove();
+      }
+    }
+
+    for (const button of fragment.querySelectorAll('button[data-saved-action]')) {
+      if (button instanceof HTMLButtonElement) {
+        button.setAttribute('on:click', `/${button.dataset.savedAction}/${item.id}`);
+      }
+    }
+
+    return fragment;
+  }
+
+  /**
+   * Shows why a saved item couldn't be moved back to the cart.
+   * @param {string} id - The id of the saved item.
+   * @param {string} message - The error message.
+   */
+  #showError(id, message) {
+    const item = Array.from(this.refs.list.querySelectorAll('[data-saved-item]')).find(
+      (element) => element instanceof HTMLElement && element.dataset.id === id
+    );
+    const error = item?.querySelector('[data-saved-error]');
+
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = false;
+  }
+}
+
+if (!customElements.get('saved-for-later-component')) {
+  customElements.define('saved-for-later-component', SavedForLaterComponent);
+}
@@ -0,0 +1,120 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, SellingPlanUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+
+/**
+ * @typedef {Object} SellingPlanAllocation
+ * @property {string} price - The formatted price of the variant with the plan.
+ * @property {string | null} compareAtPrice - The formatted price without the plan discount.
+ * @property {string | null} perDeliveryPrice - The formatted price per delivery, for prepaid plans.
+ */
+
+/**
+ * A custom element that lets customers choose between a one-time purchase and the selling plans of a product.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement[]} options - The purchase options, the one-time purchase has an empty value.
+ * @property {HTMLInputElement} sellingPlanInput - The `selling_plan` input submitted with the product form.
+ * @property {HTMLScriptElement} allocations - The pricing of each plan for the current variant.
+ *
+ * @extends {Component<Refs>}
+ */
+class SellingPlanPicker extends Component {
+  requiredRefs = ['options', 'sellingPlanInput', 'allocations'];
+
+  /**
+   * The plan the customer picked, kept when the variant changes and the picker is re-rendered.
+   * @type {string | undefined}
+   */
+  #selectedPlanId;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Listen on the document, so the product price already shows the new variant when the plan pricing is applied
+    document.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+
+    customElements.whenDefined('product-price').then(() => this.#sync());
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    const option = this.refs.options.find((option) => option.value === this.#selectedPlanId && !option.disabled);
+    if (option) option.checked = true;
+
+    this.#sync();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+  }
+
+  /**
+   * Handles the selection of a purchase option.
+   * @param {Event} event - The change event.
+   */
+  selectOption(event) {
+    if (!(event.target instanceof HTMLInputElement)) return;
+
+    this.#selectedPlanId = event.target.value;
+    this.#sync();
+  }
+
+  /**
+   * The pricing of each plan for the current variant, by plan id.
+   * @returns {Record<string, SellingPlanAllocation>}
+   */
+  get #allocations() {
+    try {
+      return JSON.parse(this.refs.allocations.textContent || '{}');
+    } catch (error) {
+      console.error('Invalid selling plan allocations', error);
+      return {};
+    }
+  }
+
+  /**
+   * Writes the selected plan into the product form and updates the price.
+   */
+  #sync() {
+    const { sellingPlanInput } = this.refs;
+    const planId = this.refs.options.find((option) => option.checked)?.value ?? '';
+    const allocation = planId ? this.#allocations[planId] : undefined;
+
+    // A one-time purchase doesn't send a selling plan at all
+    sellingPlanInput.value = planId;
+    sellingPlanInput.disabled = !planId;
+
+    this.dispatchEvent(
+      new SellingPlanUpdateEvent(allocation ? { id: planId, ...allocation } : null, this.id, {
+        productId: this.dataset.productId ?? '',
+      })
+    );
+  }
+
+  /**
+   * Re-renders the plans for the new variant, as plans and their pricing vary by variant.
+   * @param {VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    const section = this.closest('.shopify-section, dialog');
+
+    if (!(event.target instanceof Node) || !section?.contains(event.target)) return;
+    if (!event.detail.data.newProduct && event.detail.data.productId !== this.dataset.productId) return;
+
+    const newPicker = event.detail.data.html.querySelector('selling-plan-picker');
+
+    if (!(newPicker instanceof HTMLElement)) return;
+
+    morph(this, newPicker);
+    this.dataset.productId = newPicker.dataset.productId;
+    this.updatedCallback();
+  };
+}
+
+if (!customElements.get('selling-plan-picker')) {
+  customElements.define('selling-plan-picker', SellingPlanPicker);
+}
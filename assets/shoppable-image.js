@@ -0,0 +1,227 @@
+import { Component } from '@theme/component';
+import { FloatingPanelComponent } from '@theme/floating-panel';
+
+/**
+ * @typedef {object} ShoppableImageRefs
+ * @property {HTMLElement[]} [hotspots] - The hotspots, each with a button that opens the panel of its product.
+ */
+
+/**
+ * A custom element that places hotspots on the image that it covers. Each hotspot opens a floating panel with
+ * the product it's placed on. The hotspots are positioned on the visible part of the image, which depends on
+ * its `object-fit` and `object-position`, and are moved as the image resizes.
+ * The arrow keys, Home and End move the focus between the hotspots.
+ *
+ * @extends {Component<ShoppableImageRefs>}
+ */
+class ShoppableImage extends Component {
+  #resizeObserver = new ResizeObserver(() => this.#positionHotspots());
+
+  /**
+   * The image that the hotspots are placed on.
+   * @returns {HTMLImageElement | null}
+   */
+  get #image() {
+    const images = this.parentElement?.querySelectorAll('img') ?? [];
+
+    return [...images].find((image) => !this.contains(image)) ?? null;
+  }
+
+  /**
+   * The buttons of the hotspots that are visible on the image.
+   * @returns {HTMLButtonElement[]}
+   */
+  get #buttons() {
+    const { hotspots = [] } = this.refs;
+
+    return hotspots
+      .filter((hotspot) => !hotspot.hidden)
+      .map((hotspot) => hotspot.querySelector('button'))
+      .filter((button) => button instanceof HTMLButtonElement);
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const image = this.#image;
+
+    this.#resizeObserver.observe(this);
+    if (image) {
+      this.#resizeObserver.observe(image);
+      image.addEventListener('load', this.#positionHotspots);
+    }
+
+    // Toggle events don't bubble, so they're listened to while capturing
+    this.addEventListener('toggle', this.#handleToggle, { capture: true });
+
+    this.#positionHotspots();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+    this.#positionHotspots();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#resizeObserver.disconnect();
+    this.#image?.removeEventListener('load', this.#positionHotspots);
+    this.removeEventListener('toggle', this.#handleToggle, { capture: true });
+  }
+
+  /**
+   * Moves the focus between the hotspots.
+   * @param {KeyboardEvent} event - The keyboard event.
+   */
+  handleKeyDown(event) {
+    const buttons = this.#buttons;
+    const index = buttons.findIndex((button) => button === event.target);
+
+    if (index === -1) return;
+
+    let nextIndex;
+
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        nextIndex = (index + 1) % buttons.length;
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        nextIndex = (index - 1 + buttons.length) % buttons.length;
+        break;
+      case 'Home':
+        nextIndex = 0;
+        break;
+      case 'End':
+        nextIndex = buttons.length - 1;
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    this.#setFocusableButton(buttons[nextIndex]);
+    buttons[nextIndex]?.focus();
+  }
+
+  /**
+   * Positions the panel next to the hotspot that opened it, and marks the hotspot as active.
+   * @param {Event} event - The toggle event of a panel.
+   */
+  #handleToggle = (event) => {
+    const panel = event.target;
+
+    if (!(panel instanceof FloatingPanelComponent) || !(event instanceof ToggleEvent)) return;
+
+    const hotspot = this.refs.hotspots?.find((hotspot) => hotspot.contains(panel));
+    const button = hotspot?.querySelector('button');
+
+    if (!hotspot || !button) return;
+
+    const open = event.newState === 'open';
+
+    hotspot.toggleAttribute('data-active', open);
+    panel.anchor = open ? button : null;
+
+    if (open) this.#setFocusableButton(button);
+  };
+
+  /**
+   * Places the hotspots on the visible part of the image. Their positions are percentages of the image,
+   * so hotspots that are cropped out of the image are hidden.
+   */
+  #positionHotspots = () => {
+    const { hotspots = [] } = this.refs;
+    const bounds = this.getBoundingClientRect();
+    const box = this.#getImageBox(bounds);
+
+    for (const hotspot of hotspots) {
+      const x = box.left + (Number(hotspot.dataset.x) / 100) * box.width;
+      const y = box.top + (Number(hotspot.dataset.y) / 100) * box.height;
+      const hidden = x < 0 || y < 0 || x > bounds.width || y > bounds.height;
+      const panel = hotspot.querySelector('floating-panel-component');
+
+      if (hidden && panel instanceof FloatingPanelComponent) panel.hidePopover();
+
+      hotspot.hidden = hidden;
+      hotspot.style.left = `${x}px`;
+      hotspot.style.top = `${y}px`;
+    }
+
+    const focusableButton = this.#buttons.find((button) => button.tabIndex === 0) ?? this.#buttons[0];
+
+    if (focusableButton) this.#setFocusableButton(focusableButton);
+
+    for (const hotspot of hotspots) {
+      const panel = hotspot.querySelector('floating-panel-component');
+
+      if (hotspot.hasAttribute('data-active') && panel instanceof FloatingPanelComponent) panel.updatePosition();
+    }
+  };
+
+  /**
+   * Gets the box of the rendered image, relative to this element. It's larger than the image element when
+   * the image is cropped to cover it, and smaller when it's contained in it.
+   * @param {DOMRect} bounds - The bounds of this element.
+   * @returns {{ left: number, top: number, width: number, height: number }}
+   */
+  #getImageBox(bounds) {
+    const image = this.#image;
+
+    if (!image) return { left: 0, top: 0, width: bounds.width, height: bounds.height };
+
+    const rect = image.getBoundingClientRect();
+    const naturalWidth = image.naturalWidth || Number(image.getAttribute('width')) || rect.width;
+    const naturalHeight = image.naturalHeight || Number(image.getAttribute('height')) || rect.height;
+    const { objectFit, objectPosition } = getComputedStyle(image);
+
+    let width = rect.width;
+    let height = rect.height;
+
+    if (objectFit === 'cover' || objectFit === 'contain') {
+      const scaleX = rect.width / naturalWidth;
+      const scaleY = rect.height / naturalHeight;
+      const scale = objectFit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+
+      width = naturalWidth * scale;
+      height = naturalHeight * scale;
+    }
+
+    const [positionX = '50%', positionY = '50%'] = objectPosition.split(' ');
+
+    return {
+      left: rect.left - bounds.left + getOffset(positionX, rect.width - width),
+      top: rect.top - bounds.top + getOffset(positionY, rect.height - height),
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Makes a button the only hotspot button in the tab order.
+   * @param {HTMLButtonElement | undefined} focusableButton - The button.
+   */
+  #setFocusableButton(focusableButton) {
+    for (const button of this.refs.hotspots?.map((hotspot) => hotspot.querySelector('button')) ?? []) {
+      if (button) button.tabIndex = button === focusableButton ? 0 : -1;
+    }
+  }
+}
+
+/**
+ * Gets the offset of an image in the element that contains it from a computed `object-position` value.
+ * @param {string} position - The position, as a percentage or in pixels.
+ * @param {number} freeSpace - The space that's left in the element around the image, negative when it's cropped.
+ * @returns {number}
+ */
+function getOffset(position, freeSpace) {
+  if (position.endsWith('%')) return (parseFloat(position) / 100) * freeSpace;
+
+  return parseFloat(position) || 0;
+}
+
+if (!customElements.get('shoppable-image')) {
+  customElements.define('shoppable-image', ShoppableImage);
+}
@@ -24,6 +24,7 @@ const SLIDE_VISIBLITY_THRESHOLD = 0.7;
  * @property {HTMLElement} slideshowContainer
  * @property {HTMLElement[]} [slides]
  * @property {HTMLElement} [current]
+ * @property {HTMLElement} [total]
  * @property {HTMLElement[]} [thumbnails]
  * @property {HTMLElement[]} [dots]
  * @property {HTMLButtonElement} [previous]
@@ -240,6 +241,22 @@ export class Slideshow extends Component {
     );
   }
 
+  /**
+   * Selects the slide of a thumbnail or a dot. The controls are in the order of all the slides, hidden ones included.
+   * @param {number} index - The index of the control.
+   * @param {Event} [event] - The event that triggered the selection.
+   * @param {Object} [options] - The options for the selection.
+   * @param {boolean} [options.animate=true] - Whether to animate the selection.
+   */
+  selectControl(index, event, options) {
+    const slide = this.refs.slides?.[index];
+    const slideIndex = slide ? (this.slides?.indexOf(slide) ?? -1) : -1;
+
+    if (slideIndex === -1) return;
+
+    this.select(slideIndex, event, options);
+  }
+
   /**
    * Advances to the next slide.
    * @param {Event} [event] - The event that triggered the next slide.
@@ -344,14 +361,17 @@ export class Slideshow extends Component {
    * @type {number}
    */
   set current(value) {
-    const { current, thumbnails, dots, slides, previous, next } = this.refs;
+    const { current, total, thumbnails, dots, previous, next } = this.refs;
+    const { slides } = this;
+    const controlIndex = this.#getControlIndex(value);
 
     this.#current = value;
 
     if (current) current.textContent = `${value + 1}`;
+    if (total && slides) total.textContent = `${slides.length}`;
 
     for (const controls of [thumbnails, dots]) {
-      controls?.forEach((el, i) => el.setAttribute('aria-selected', `${i === value}`));
+      controls?.forEach((el, i) => el.setAttribute('aria-selected', `${i === controlIndex}`));
     }
 
     if (previous) previous.disabled = Boolean(!this.infinite && value === 0);
@@ -506,9 +526,9 @@ export class Slideshow extends Component {
     if (!(event.target instanceof Element)) return;
     if (this.disabled || this.#dragging) return;
 
-    // Check if the event target is within a 3D model interactive element
-    // This prevents the slideshow from capturing drag events when interacting with 3D models
-    if (event.target.closest('model-viewer')) {
+    // Check if the event target is within a 3D model or a 360° view
+    // This prevents the slideshow from capturing drag events when interacting with them
+    if (event.target.closest('model-viewer, product-spin')) {
       return;
     }
 
@@ -678,7 +698,7 @@ export class Slideshow extends Component {
    * @param {ScrollBehavior} [behavior] - The scroll behavior.
    */
   #centerSelectedThumbnail(index, behavior = 'smooth') {
-    const selectedThumbnail = this.refs.thumbnails?.[index];
+    const selectedThumbnail = this.refs.thumbnails?.[this.#getControlIndex(index)];
     if (!selectedThumbnail) return;
 
     const { thumbnailsContainer } = this.refs;
@@ -695,6 +715,17 @@ export class Slideshow extends Component {
     });
   }
 
+  /**
+   * Gets the index of the control of a slide, as the controls of hidden slides are kept in place.
+   * @param {number} index - The index of the slide.
+   * @returns {number} The index of the control.
+   */
+  #getControlIndex(index) {
+    const slide = this.slides?.[index];
+
+    return slide ? (this.refs.slides?.indexOf(slide) ?? index) : index;
+  }
+
   #updateVisibleSlides() {
     const { slides } = this;
     if (!slides || !slides.length) return 0;
@@ -0,0 +1,257 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { InventoryModel } from '@theme/inventory-model';
+import { formatMoneyWithTemplate } from '@theme/money-format';
+import { morph } from '@theme/morph';
+import { AddToCartComponent, flyToCart } from '@theme/product-form';
+import VariantPicker from '@theme/variant-picker';
+
+/**
+ * A custom element that shows a bar with the selected variant once the main product form is scrolled past.
+ * It selects variants through the main variant picker, and adds to the cart through the main product form.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the shop.
+ * @property {HTMLElement} variantTitle - The title of the selected variant.
+ * @property {HTMLElement} price - The price of the selected variant.
+ * @property {HTMLElement} compareAtPrice - The compare at price of the selected variant.
+ * @property {HTMLElement} availability - The availability of the selected variant.
+ * @property {HTMLSelectElement} [variantSelect] - The select of the variants.
+ * @property {HTMLButtonElement} addToCartButton - The add to cart button.
+ *
+ * @extends {Component<Refs>}
+ */
+class StickyAddToCart extends Component {
+  requiredRefs = ['moneyFormat', 'variantTitle', 'price', 'compareAtPrice', 'availability', 'addToCartButton'];
+
+  #abortController = new AbortController();
+
+  /** @type {IntersectionObserver | undefined} */
+  #observer;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    this.closest('.shopify-section')?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+
+    this.#observe();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The main product form is replaced when the page loads another product of a combined listing
+    this.#observe();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    this.#observer?.disconnect();
+  }
+
+  /**
+   * Selects a variant in the main variant picker, which fetches the variant and updates the page.
+   * @param {Event} event - The change event of the variant select.
+   */
+  selectVariant(event) {
+    if (!(event.target instanceof HTMLSelectElement)) return;
+
+    const selectedOption = event.target.selectedOptions[0];
+    const picker = this.#getVariantPicker();
+
+    if (!selectedOption?.dataset.options || !picker) return;
+
+    /** @type {string[]} */
+    const optionValues = JSON.parse(selectedOption.dataset.options);
+
+    /** @type {HTMLElement | undefined} */
+    let lastChanged;
+
+    picker.querySelectorAll('.variant-option').forEach((option, index) => {
+      const changed = this.#selectOptionValue(picker, option, optionValues[index]);
+      if (changed) lastChanged = changed;
+    });
+
+    // The picker requests the variant of all the selected option values
+    lastChanged?.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * Adds the selected variant to the cart through the main product form.
+   */
+  addToCart() {
+    const productForm = this.#getProductForm();
+    const form = productForm?.querySelector('form');
+
+    if (!productForm || !form) return;
+
+    // The product form shows the errors of invalid personalization fields, bring them into view
+    if (form.checkValidity() === false) {
+      productForm.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      form.requestSubmit();
+      return;
+    }
+
+    const addToCartComponent = productForm.querySelector('add-to-cart-component');
+
+    if (addToCartComponent instanceof AddToCartComponent) {
+      const image = addToCartComponent.dataset.productVariantMedia;
+
+      addToCartComponent.animateAddToCart();
+      if (image) flyToCart(this.refs.addToCartButton, image);
+    }
+
+    form.requestSubmit();
+  }
+
+  /**
+   * Checks the input, or selects the option, of an option value of the main variant picker.
+   * @param {VariantPicker} picker - The main variant picker.
+   * @param {Element} option - The element of the option.
+   * @param {string | undefined} value - The option value to select.
+   * @returns {HTMLElement | undefined} The element that changed, if any.
+   */
+  #selectOptionValue(picker, option, value) {
+    if (value === undefined) return;
+
+    const select = option.querySelector('select');
+
+    if (select) {
+      if (select.value === value || !Array.from(select.options).some((item) => item.value === value)) return;
+
+      select.value = value;
+      picker.updateSelectedOption(select);
+
+      return select;
+    }
+
+    const input = Array.from(option.querySelectorAll('input')).find((item) => item.value === value);
+
+    if (!input || input.checked) return;
+
+    picker.updateSelectedOption(input);
+
+    return input;
+  }
+
+  /**
+   * Shows the bar once the main product form is above the viewport.
+   */
+  #observe() {
+    const productForm = this.#getProductForm();
+
+    this.#observer?.disconnect();
+
+    if (!productForm) return;
+
+    this.#observer = new IntersectionObserver(([entry]) => {
+      if (!entry) return;
+
+      this.#setVisible(!entry.isIntersecting && entry.boundingClientRect.bottom < 0);
+    });
+    this.#observer.observe(productForm);
+  }
+
+  /**
+   * @param {boolean} visible - Whether the bar is visible.
+   */
+  #setVisible(visible) {
+    this.toggleAttribute('data-visible', visible);
+    this.inert = !visible;
+  }
+
+  /**
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+
+      // A new product brings its own variants
+      const newBar = event.detail.data.html.querySelector('sticky-add-to-cart');
+      if (newBar) morph(this, newBar, { childrenOnly: true });
+
+      this.#observe();
+      return;
+    }
+
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    this.#render(event.detail.resource);
+  };
+
+  /**
+   * Mirrors the selected variant.
+   * @param {VariantUpdateEvent['detail']['resource']} variant - The selected variant.
+   */
+  #render(variant) {
+    const { variantTitle, price, compareAtPrice, availability, variantSelect, addToCartButton } = this.refs;
+    const { translations } = Theme;
+
+    if (!variant) {
+      addToCartButton.disabled = true;
+      addToCartButton.textContent = this.dataset.unavailableText ?? '';
+      availability.textContent = '';
+      return;
+    }
+
+    const productForm = this.#getProductForm();
+    const preorder = productForm ? InventoryModel.fromElement(productForm)?.isPreorder(variant.id) : false;
+
+    if (variantSelect) variantSelect.value = String(variant.id);
+    if (variant.title) variantTitle.textContent = variant.title;
+
+    if (variant.price !== undefined)
+      price.textContent = formatMoneyWithTemplate(variant.price, this.refs.moneyFormat, this.dataset.currency);
+
+    const compareAt = variant.compare_at_price ?? 0;
+    compareAtPrice.hidden = !variant.price || compareAt <= variant.price;
+    compareAtPrice.textContent = compareAtPrice.hidden
+      ? ''
+      : formatMoneyWithTemplate(compareAt, this.refs.moneyFormat, this.dataset.currency);
+
+    if (preorder) {
+      availability.textContent = translations.inventory_preorder ?? '';
+      addToCartButton.textContent = translations.preorder ?? '';
+    } else if (variant.available) {
+      availability.textContent = translations.inventory_in_stock ?? '';
+      addToCartButton.textContent = this.dataset.addToCartText ?? '';
+    } else {
+      availability.textContent = translations.inventory_out_of_stock ?? '';
+      addToCartButton.textContent = this.dataset.soldOutText ?? '';
+    }
+
+    addToCartButton.disabled = !variant.available;
+  }
+
+  /**
+   * Gets the main product form of the same product.
+   * @returns {HTMLElement | null}
+   */
+  #getProductForm() {
+    return (
+      this.closest('.shopify-section')?.querySelector(
+        `product-form-component[data-product-id="${this.dataset.productId}"]`
+      ) ?? null
+    );
+  }
+
+  /**
+   * Gets the main variant picker of the same product.
+   * @returns {VariantPicker | null}
+   */
+  #getVariantPicker() {
+    const picker = this.closest('.shopify-section')?.querySelector(
+      `variant-picker[data-product-id="${this.dataset.productId}"]`
+    );
+
+    return picker instanceof VariantPicker ? picker : null;
+  }
+}
+
+if (!customElements.get('sticky-add-to-cart')) {
+  customElements.define('sticky-add-to-cart', StickyAddToCart);
+}
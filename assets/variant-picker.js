@@ -1,9 +1,25 @@
 import { Component } from '@theme/component';
 import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
-import { morph } from '@theme/morph';
+import { morph, VARIANT_UPDATE_MORPH_OPTIONS } from '@theme/morph';
+
+/**
+ * @typedef {Object} MatrixVariant
+ * @property {number} id - The id of the variant.
+ * @property {boolean} available - Whether the variant is available.
+ * @property {string[]} options - The option values of the variant, in the order of the options.
+ */
+
+/** The time after which the type-ahead of the option values starts over, in milliseconds */
+const TYPE_AHEAD_TIMEOUT = 500;
 
 /**
  * A custom element that manages a variant picker.
+ * The radio groups have a single tab stop, and their values are selected with the arrow keys, Home, End, or by typing
+ * the start of their name. The price and availability of each selected variant are announced.
+ *
+ * When the picker renders the option matrix of the product, the option values that lead to sold out or
+ * non-existent variants are marked, and combinations that don't exist are replaced with the closest available one,
+ * before the section is fetched.
  *
  * @template {import('@theme/component').Refs} [Refs = {}]
  *
@@ -16,10 +32,149 @@ export default class VariantPicker extends Component {
   /** @type {AbortController | undefined} */
   #abortController;
 
+  #typeAhead = '';
+
+  /** @type {number | undefined} */
+  #typeAheadTimeout;
+
   connectedCallback() {
     super.connectedCallback();
 
     this.addEventListener('change', this.variantChanged.bind(this));
+    this.addEventListener('keydown', this.#onKeydown);
+    this.#updateOptionAvailability();
+    this.#updateTabStops();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The server marks the option values from the previous options only, the matrix marks them from all of them
+    this.#updateOptionAvailability();
+    this.#updateTabStops();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener('keydown', this.#onKeydown);
+    clearTimeout(this.#typeAheadTimeout);
+  }
+
+  /**
+   * Moves the focus and the selection within a radio group.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  #onKeydown = (event) => {
+    const { target } = event;
+
+    if (!(target instanceof HTMLInputElement) || target.type !== 'radio') return;
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+    const inputs = this.#getRadios(target);
+    const index = inputs.indexOf(target);
+    const isRtl = getComputedStyle(this).direction === 'rtl';
+    const next = isRtl ? 'ArrowLeft' : 'ArrowRight';
+    const previous = isRtl ? 'ArrowRight' : 'ArrowLeft';
+
+    /** @type {HTMLInputElement | undefined} */
+    let newInput;
+
+    if (event.key === next || event.key === 'ArrowDown') {
+      newInput = inputs[(index + 1) % inputs.length];
+    } else if (event.key === previous || event.key === 'ArrowUp') {
+      newInput = inputs[(index - 1 + inputs.length) % inputs.length];
+    } else if (event.key === 'Home') {
+      newInput = inputs[0];
+    } else if (event.key === 'End') {
+      newInput = inputs[inputs.length - 1];
+    } else if (event.key.length === 1 && event.key !== ' ') {
+      newInput = this.#findByTypeAhead(inputs, index, event.key);
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+
+    if (!newInput || newInput === target) return;
+
+    const { overflowList } = this.refs;
+
+    // Swatches that don't fit are hidden in an overflow list, reaching one with the keyboard shows them all
+    if (overflowList instanceof OverflowList && !newInput.checkVisibility()) overflowList.showAll();
+
+    newInput.focus();
+    // Clicking checks the radio and fires the change event, like the native arrow keys
+    newInput.click();
+  };
+
+  /**
+   * Finds the next option value whose name starts with the typed characters.
+   * @param {HTMLInputElement[]} inputs - The inputs of the radio group.
+   * @param {number} index - The index of the focused input.
+   * @param {string} key - The typed character.
+   * @returns {HTMLInputElement | undefined}
+   */
+  #findByTypeAhead(inputs, index, key) {
+    clearTimeout(this.#typeAheadTimeout);
+    this.#typeAheadTimeout = setTimeout(() => (this.#typeAhead = ''), TYPE_AHEAD_TIMEOUT);
+
+    this.#typeAhead += key.toLowerCase();
+
+    // Typing the same character cycles through the values starting with it
+    const search = [...this.#typeAhead].every((char) => char === this.#typeAhead[0])
+      ? key.toLowerCase()
+      : this.#typeAhead;
+    const start = search.length === 1 ? index + 1 : index;
+    const ordered = [...inputs.slice(start), ...inputs.slice(0, start)];
+
+    return ordered.find((input) => input.value.toLowerCase().startsWith(search));
+  }
+
+  /**
+   * Gets the inputs of the radio group of an input.
+   * @param {HTMLInputElement} input - An input of the radio group.
+   * @returns {HTMLInputElement[]}
+   */
+  #getRadios(input) {
+    return Array.from(this.querySelectorAll('input[type="radio"]')).filter(
+      /** @returns {radio is HTMLInputElement} */
+      (radio) => radio instanceof HTMLInputElement && radio.name === input.name
+    );
+  }
+
+  /**
+   * Leaves a single tab stop in each radio group, on the checked value or on the first one.
+   */
+  #updateTabStops() {
+    for (const group of this.querySelectorAll('fieldset')) {
+      const inputs = Array.from(group.querySelectorAll('input[type="radio"]'));
+      const current = inputs.find((input) => input instanceof HTMLInputElement && input.checked) ?? inputs[0];
+
+      for (const input of inputs) {
+        if (input instanceof HTMLInputElement) input.tabIndex = input === current ? 0 : -1;
+      }
+    }
+  }
+
+  /**
+   * Announces the price and availability of the selected variant.
+   * @param {VariantUpdateEvent['detail']['resource']} variant - The selected variant.
+   * @param {Document} html - The new HTML.
+   */
+  #announceVariant(variant, html) {
+    const liveRegion = this.querySelector('[data-variant-announcement]');
+
+    if (!liveRegion) return;
+
+    const { translations } = Theme;
+    const price = html.querySelector('product-price [ref="priceContainer"]')?.textContent?.replace(/\s+/g, ' ').trim();
+    let availability = translations.variant_unavailable;
+
+    if (variant)
+      availability = variant.available ? translations.inventory_in_stock : translations.inventory_out_of_stock;
+
+    liveRegion.textContent = [variant?.title, price, availability].filter(Boolean).join(', ');
   }
 
   /**
@@ -30,6 +185,9 @@ export default class VariantPicker extends Component {
     if (!(event.target instanceof HTMLElement)) return;
 
     this.updateSelectedOption(event.target);
+    this.#selectClosestAvailable(event.target);
+    this.#updateOptionAvailability();
+    this.#updateTabStops();
     this.dispatchEvent(new VariantSelectedEvent({ id: event.target.dataset.optionValueId ?? '' }));
 
     const isOnProductPage =
@@ -49,7 +207,11 @@ export default class VariantPicker extends Component {
 
     let variantId;
 
-    if (event.target instanceof HTMLInputElement && event.target.type === 'radio') {
+    const matrix = this.#getOptionMatrix();
+
+    if (matrix && !newUrl) {
+      variantId = this.#findVariant(matrix, this.#getSelectedValues())?.id.toString() ?? null;
+    } else if (event.target instanceof HTMLInputElement && event.target.type === 'radio') {
       variantId = event.target.dataset.variantId || null;
     } else if (event.target instanceof HTMLSelectElement) {
       const selectedOption = event.target.options[event.target.selectedIndex];
@@ -105,6 +267,164 @@ export default class VariantPicker extends Component {
     }
   }
 
+  /**
+   * Reads the option matrix of the product.
+   * @returns {MatrixVariant[] | null} The variants of the product, or null when the picker doesn't render them.
+   */
+  #getOptionMatrix() {
+    const script = this.querySelector('script[data-option-matrix]');
+
+    if (!script?.textContent) return null;
+
+    try {
+      return JSON.parse(script.textContent);
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the elements of the options, in the order of the options.
+   * @returns {HTMLElement[]}
+   */
+  #getOptionElements() {
+    return Array.from(this.querySelectorAll('.variant-option'));
+  }
+
+  /**
+   * Gets the selected value of each option.
+   * @returns {(string | undefined)[]}
+   */
+  #getSelectedValues() {
+    return this.#getOptionElements().map((option) => {
+      const checkedInput = option.querySelector('input:checked');
+
+      return (
+        option.querySelector('select')?.value ??
+        (checkedInput instanceof HTMLInputElement ? checkedInput.value : undefined)
+      );
+    });
+  }
+
+  /**
+   * Finds the variant of a combination of option values.
+   * @param {MatrixVariant[]} matrix - The variants of the product.
+   * @param {(string | undefined)[]} values - The option values.
+   * @returns {MatrixVariant | undefined}
+   */
+  #findVariant(matrix, values) {
+    return matrix.find((variant) => variant.options.every((value, index) => value === values[index]));
+  }
+
+  /**
+   * Selects the closest available combination when the selected one doesn't exist.
+   * The changed option is kept, and as many of the other selected values as possible.
+   * @param {HTMLElement} target - The changed input or select.
+   */
+  #selectClosestAvailable(target) {
+    const matrix = this.#getOptionMatrix();
+
+    // Option values connected to another product are resolved by the server
+    if (!matrix || target.dataset.connectedProductUrl) return;
+
+    const options = this.#getOptionElements();
+    const changedIndex = options.findIndex((option) => option.contains(target));
+    const selectedValues = this.#getSelectedValues();
+
+    if (changedIndex === -1 || this.#findVariant(matrix, selectedValues)) return;
+
+    /**
+     * @param {MatrixVariant} variant
+     * @returns {number}
+     */
+    const score = (variant) =>
+      variant.options.filter((value, index) => value === selectedValues[index]).length + (variant.available ? 100 : 0);
+
+    const closest = matrix
+      .filter((variant) => variant.options[changedIndex] === selectedValues[changedIndex])
+      .reduce(
+        /** @param {MatrixVariant | undefined} best */
+        (best, variant) => (!best || score(variant) > score(best) ? variant : best),
+        undefined
+      );
+
+    if (!closest) return;
+
+    options.forEach((option, index) => {
+      const value = closest.options[index];
+      const select = option.querySelector('select');
+
+      if (index === changedIndex || value === undefined) return;
+
+      if (select) {
+        select.value = value;
+        this.updateSelectedOption(select);
+      } else {
+        const input = Array.from(option.querySelectorAll('input')).find((item) => item.value === value);
+        if (input) this.updateSelectedOption(input);
+      }
+    });
+  }
+
+  /**
+   * Marks the option values that lead to sold out or non-existent variants, with the values selected in the other options.
+   */
+  #updateOptionAvailability() {
+    const matrix = this.#getOptionMatrix();
+
+    if (!matrix) return;
+
+    const selectedValues = this.#getSelectedValues();
+
+    this.#getOptionElements().forEach((option, index) => {
+      /** @type {(HTMLInputElement | HTMLOptionElement)[]} */
+      const values = Array.from(option.querySelectorAll('input, option'));
+
+      for (const element of values) {
+        // Option values connected to another product are marked by the server
+        if (element.dataset.connectedProductUrl) continue;
+
+        const combination = [...selectedValues];
+        combination[index] = element.value;
+
+        const variant = this.#findVariant(matrix, combination);
+        const available = variant?.available === true;
+
+        if (element instanceof HTMLOptionElement) {
+          const status = variant ? this.dataset.soldOutText : this.dataset.unavailableText;
+          element.textContent = available || !status ? element.value : `${element.value} - ${status}`;
+          continue;
+        }
+
+        element.dataset.optionAvailable = String(available);
+        element.dataset.optionExists = String(!!variant);
+        element.setAttribute('aria-label', this.#getOptionLabel(element.value, variant));
+
+        if (available) {
+          element.removeAttribute('aria-disabled');
+        } else {
+          element.setAttribute('aria-disabled', 'true');
+        }
+      }
+    });
+  }
+
+  /**
+   * Gets the accessible name of an option value, which includes its availability.
+   * @param {string} value - The option value.
+   * @param {MatrixVariant | undefined} variant - The variant the option value leads to.
+   * @returns {string}
+   */
+  #getOptionLabel(value, variant) {
+    const { translations } = Theme;
+    const label = variant ? translations.option_value_sold_out : translations.option_value_unavailable;
+
+    if (variant?.available || !label) return value;
+
+    return label.replace('[value]', value);
+  }
+
   /**
    * Builds the request URL.
    * @param {HTMLElement} selectedOption - The selected option.
@@ -167,13 +487,16 @@ export default class VariantPicker extends Component {
 
           // We grab the variant object from the response and dispatch an event with it.
           if (this.selectedOptionId) {
+            const variant = JSON.parse(textContent);
+
             this.dispatchEvent(
-              new VariantUpdateEvent(JSON.parse(textContent), this.selectedOptionId, {
+              new VariantUpdateEvent(variant, this.selectedOptionId, {
                 html,
                 productId: this.dataset.productId ?? '',
                 newProduct,
               })
             );
+            this.#announceVariant(variant, html);
           }
         }
       })
@@ -220,7 +543,7 @@ export default class VariantPicker extends Component {
       this.dataset.productUrl = newProductUrl;
     }
 
-    morph(this, newVariantPickerSource);
+    morph(this, newVariantPickerSource, newProduct ? undefined : VARIANT_UPDATE_MORPH_OPTIONS);
 
     return newProduct;
   }
@@ -0,0 +1,53 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { Wishlist } from '@theme/wishlist';
+
+/**
+ * A custom element that adds its product to the wishlist, or removes it.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLButtonElement} toggle - The heart button.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistButton extends Component {
+  requiredRefs = ['toggle'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#render);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#render);
+  }
+
+  /**
+   * Toggles the product in the wishlist.
+   */
+  toggle() {
+    const { productId, productUrl } = this.dataset;
+
+    if (!productId || !productUrl) return;
+
+    Wishlist.toggleProduct({ id: productId, url: productUrl }, this.id);
+  }
+
+  /**
+   * Renders whether the product is in the wishlist.
+   */
+  #render = () => {
+    const { productId } = this.dataset;
+
+    this.refs.toggle.setAttribute('aria-pressed', String(Boolean(productId && Wishlist.hasProduct(productId))));
+  };
+}
+
+if (!customElements.get('wishlist-button')) {
+  customElements.define('wishlist-button', WishlistButton);
+}
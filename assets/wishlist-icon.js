@@ -0,0 +1,69 @@
+import { Component } from '@theme/component';
+import { onAnimationEnd } from '@theme/utilities';
+import { ThemeEvents, WishlistUpdateEvent } from '@theme/events';
+import { Wishlist } from '@theme/wishlist';
+
+/**
+ * A custom element that displays a wishlist icon, with the number of products in the wishlist in a bubble.
+ * The wishlist is kept in the browser, so the count is always rendered here.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} wishlistBubble - The wishlist bubble element.
+ * @property {HTMLElement} wishlistBubbleText - The wishlist bubble text element.
+ * @property {HTMLElement} wishlistBubbleCount - The wishlist bubble count element.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistIcon extends Component {
+  requiredRefs = ['wishlistBubble', 'wishlistBubbleText', 'wishlistBubbleCount'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.onWishlistUpdate);
+    this.renderWishlistBubble(Wishlist.getProducts().length, false);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.onWishlistUpdate);
+  }
+
+  /**
+   * Handles the wishlist update event.
+   * @param {WishlistUpdateEvent} event - The wishlist update event.
+   */
+  onWishlistUpdate = (event) => {
+    this.renderWishlistBubble(event.detail.resource.length, event.detail.data.action === 'add');
+  };
+
+  /**
+   * Renders the wishlist bubble.
+   * @param {number} itemCount - The number of products in the wishlist.
+   * @param {boolean} [animate] - Whether to animate the bubble.
+   */
+  renderWishlistBubble = async (itemCount, animate = true) => {
+    const { wishlistBubble, wishlistBubbleText, wishlistBubbleCount } = this.refs;
+
+    wishlistBubbleCount.classList.toggle('hidden', itemCount === 0);
+    wishlistBubble.classList.toggle('visually-hidden', itemCount === 0);
+    wishlistBubble.classList.toggle('cart-bubble--animating', itemCount > 0 && animate);
+
+    wishlistBubbleCount.textContent = itemCount < 100 ? String(itemCount) : '';
+    wishlistBubbleText
+      .querySelector('.visually-hidden')
+      ?.replaceChildren(`${Theme.translations.wishlist_count}: ${itemCount}`);
+
+    this.classList.toggle('header-actions__wishlist-icon--has-items', itemCount > 0);
+
+    if (!animate) return;
+    await onAnimationEnd(wishlistBubbleText);
+
+    wishlistBubble.classList.remove('cart-bubble--animating');
+  };
+}
+
+if (!customElements.get('wishlist-icon')) {
+  customElements.define('wishlist-icon', WishlistIcon);
+}
@@ -0,0 +1,233 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { CartAddEvent, ThemeEvents } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+import { Wishlist } from '@theme/wishlist';
+
+/** @typedef {import('./wishlist').WishlistItem} WishlistItem */
+
+/**
+ * A custom element that renders the wishlist products, with the cards of the `section-rendering-product-card` section.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} grid - The list of product cards.
+ * @property {HTMLTemplateElement} removeButtonTemplate - The button removing a product from the wishlist.
+ * @property {HTMLElement} emptyState - The message shown when the wishlist is empty.
+ * @property {HTMLElement} actions - The add all to cart button and its error.
+ * @property {HTMLButtonElement} addAllButton - The add all to cart button.
+ * @property {HTMLElement} error - The add all to cart error.
+ * @property {HTMLElement} liveRegion - The live region announcing the added products.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistProductsComponent extends Component {
+  requiredRefs = ['grid', 'emptyState', 'actions', 'addAllButton', 'error', 'liveRegion', 'removeButtonTemplate'];
+
+  /**
+   * The timeout clearing the live region
+   * @type {number | undefined}
+   */
+  #timeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#render);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    if (this.#timeout) clearTimeout(this.#timeout);
+  }
+
+  /**
+   * Adds the available wishlist products to the cart.
+   */
+  addAllToCart() {
+    const { addAllButton, error, liveRegion } = this.refs;
+    const items = this.#getItems().flatMap((item) => {
+      const variant = this.#getSelectedVariant(item);
+
+      if (!variant?.available) return [];
+
+      return [{ variantId: String(variant.id), productId: item.dataset.productId ?? '', quantity: 1 }];
+    });
+
+    if (!items.length) return;
+
+    const formData = new FormData();
+
+    items.forEach(({ variantId, quantity }, index) => {
+      formData.append(`items[${index}][id]`, variantId);
+      formData.append(`items[${index}][quantity]`, String(quantity));
+    });
+
+    /** @type {string[]} */
+    const sections = [];
+    document.querySelectorAll('cart-items-component').forEach((cartItems) => {
+      if (cartItems instanceof HTMLElement && cartItems.dataset.sectionId) sections.push(cartItems.dataset.sectionId);
+    });
+
+    addAllButton.disabled = true;
+    error.hidden = true;
+
+    cartStore
+      .add(formData, { sourceId: this.id, sections })
+      .then(({ ok, queued, response, stale }) => {
+        if (queued) {
+          this.#showError(Theme.translations.cart_offline_add ?? '');
+          return;
+        }
+
+        if (!ok) {
+          this.#showError(response.message ?? response.description ?? '');
+          return;
+        }
+
+        liveRegion.textContent = Theme.translations.added ?? '';
+        this.#timeout = setTimeout(() => {
+          liveRegion.textContent = '';
+        }, 5000);
+
+        this.dispatchEvent(
+          new CartAddEvent(cartStore.cart ?? {}, this.id, {
+            source: 'wishlist-products-component',
+            itemCount: items.length,
+            items,
+            sections: stale ? undefined : response.sections,
+          })
+        );
+      })
+      .catch((error) => {
+        console.error(error);
+      })
+      .finally(() => {
+        addAllButton.disabled = false;
+      });
+  }
+
+  /**
+   * Removes a product from the wishlist.
+   * @param {string} productId
+   */
+  removeProduct(productId) {
+    Wishlist.removeProduct(productId, this.id);
+  }
+
+  /**
+   * Renders the cards of the wishlist products, fetching the ones that aren't rendered yet.
+   */
+  #render = async () => {
+    const products = Wishlist.getProducts();
+    const { grid } = this.refs;
+
+    /** @type {Map<string, HTMLElement>} */
+    const renderedItems = new Map();
+    for (const item of this.#getItems()) {
+      if (item.dataset.productId) renderedItems.set(item.dataset.productId, item);
+    }
+
+    const items = await Promise.all(
+      products.map((product) => renderedItems.get(product.id) ?? this.#renderItem(product))
+    );
+
+    // The wishlist may have changed while the cards were loading
+    if (JSON.stringify(products) !== JSON.stringify(Wishlist.getProducts())) return;
+
+    const renderedProducts = items.filter((item) => item !== null);
+
+    grid.replaceChildren(...renderedProducts);
+    this.refs.emptyState.hidden = renderedProducts.length > 0;
+    this.refs.actions.hidden = !renderedProducts.some((item) => this.#getSelectedVariant(item)?.available);
+  };
+
+  /**
+   * Fetches the card of a product.
+   * @param {WishlistItem} product
+   * @returns {Promise<HTMLLIElement | null>} The card, or null when the product doesn't exist anymore.
+   */
+  async #renderItem(product) {
+    try {
+      const html = await sectionRenderer.getSectionHTML(
+        'section-rendering-product-card',
+        true,
+        new URL(product.url, window.location.origin)
+      );
+      // The card is wrapped in a `product-card-link` when the transition to the product page is enabled
+      const card = new DOMParser().parseFromString(html, 'text/html').querySelector('product-card-link, product-card');
+
+      if (!card) return null;
+
+      const item = document.createElement('li');
+      item.className = 'wishlist__item';
+      item.dataset.productId = product.id;
+      item.append(document.importNode(card, true));
+      item.append(this.#renderRemoveButton(item));
+
+      return item;
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  }
+
+  /**
+   * Renders the button removing the product of a card from the wishlist.
+   * @param {HTMLLIElement} item
+   * @returns {DocumentFragment}
+   */
+  #renderRemoveButton(item) {
+    const fragment = /** @type {DocumentFragment} */ (this.refs.removeButtonTemplate.content.cloneNode(true));
+    const button = fragment.querySelector('button[data-wishlist-remove]');
+    const title = this.#getSelectedVariant(item)?.name ?? '';
+
+    if (button instanceof HTMLButtonElement) {
+      button.setAttribute('on:click', `/removeProduct/${item.dataset.productId}`);
+      button.setAttribute('aria-label', (button.getAttribute('aria-label') ?? '').replace('[title]', title));
+    }
+
+    return fragment;
+  }
+
+  /**
+   * Gets the rendered wishlist items.
+   * @returns {HTMLElement[]}
+   */
+  #getItems() {
+    return Array.from(this.refs.grid.querySelectorAll('li[data-product-id]')).filter(
+      (item) => item instanceof HTMLElement
+    );
+  }
+
+  /**
+   * Gets the variant selected in a card, which the quick add variant picker keeps up to date.
+   * @param {HTMLElement} item
+   * @returns {{ id: number, name: string, available: boolean } | null}
+   */
+  #getSelectedVariant(item) {
+    const script = item.querySelector('variant-picker script[type="application/json"]');
+
+    try {
+      return script?.textContent ? JSON.parse(script.textContent) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Shows why the products couldn't be added to the cart.
+   * @param {string} message
+   */
+  #showError(message) {
+    this.refs.error.textContent = message;
+    this.refs.error.hidden = false;
+  }
+}
+
+if (!customElements.get('wishlist-products-component')) {
+  customElements.define('wishlist-products-component', WishlistProductsComponent);
+}
@@ -0,0 +1,101 @@
+import { WishlistUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} WishlistItem
+ * @property {string} id - The id of the product.
+ * @property {string} url - The url of the product, used to render its card.
+ */
+
+/**
+ * Updates the wishlist products in localStorage.
+ */
+export class Wishlist {
+  /** @static @constant {string} The key used to store the wishlist products in local storage */
+  static STORAGE_KEY = 'wishlist';
+  /** @static @constant {number} The maximum number of products to store */
+  static #MAX_PRODUCTS = 50;
+
+  /**
+   * Adds a product to the wishlist.
+   * @param {WishlistItem} item - The product to add.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   */
+  static addProduct(item, sourceId) {
+    const products = [item, ...this.getProducts().filter(({ id }) => id !== item.id)].slice(0, this.#MAX_PRODUCTS);
+
+    this.#save(products, sourceId, { action: 'add', productId: item.id });
+  }
+
+  /**
+   * Removes a product from the wishlist.
+   * @param {string} productId - The ID of the product to remove.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   */
+  static removeProduct(productId, sourceId) {
+    const products = this.getProducts().filter(({ id }) => id !== productId);
+
+    this.#save(products, sourceId, { action: 'remove', productId });
+  }
+
+  /**
+   * Adds a product to the wishlist, or removes it when it's already there.
+   * @param {WishlistItem} item - The product to toggle.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   * @returns {boolean} Whether the product is in the wishlist now.
+   */
+  static toggleProduct(item, sourceId) {
+    if (this.hasProduct(item.id)) {
+      this.removeProduct(item.id, sourceId);
+      return false;
+    }
+
+    this.addProduct(item, sourceId);
+    return true;
+  }
+
+  /**
+   * Checks if a product is in the wishlist.
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean}
+   */
+  static hasProduct(productId) {
+    return this.getProducts().some(({ id }) => id === productId);
+  }
+
+  /**
+   * Retrieves the wishlist products from local storage.
+   * @returns {WishlistItem[]} The wishlist products, most recently added first.
+   */
+  static getProducts() {
+    try {
+      const products = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+
+      return Array.isArray(products) ? products : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Stores the wishlist products and broadcasts the change.
+   * @param {WishlistItem[]} products
+   * @param {string} sourceId
+   * @param {{ action: 'add' | 'remove', productId: string }} data
+   */
+  static #save(products, sourceId, data) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(products));
+    } catch (_) {
+      // no-op, the change is still shown until the page is left
+    }
+
+    document.dispatchEvent(new WishlistUpdateEvent(products, sourceId, data));
+  }
+}
+
+// The storage event only fires in the other tabs, keep their hearts and counters in sync
+window.addEventListener('storage', (event) => {
+  if (event.key !== Wishlist.STORAGE_KEY && event.key !== null) return;
+
+  document.dispatchEvent(new WishlistUpdateEvent(Wishlist.getProducts(), 'wishlist', { action: 'sync' }));
+});